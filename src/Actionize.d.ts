@@ -0,0 +1,219 @@
+import ActionizeBuild from './ActionizeBuild';
+import ActionizeDevtools, { ActionizeDevtoolsOptions } from './ActionizeDevtools';
+import ActionizeRecorder from './ActionizeRecorder';
+import ActionizeRoot, { ActionizeRootOptions } from './ActionizeRoot';
+import { Schema } from './ActionizeSchema';
+import ActionizeScope from './ActionizeScope';
+
+/**
+ * Where an action handler was given, for plugin hooks.
+ */
+export interface HandlerMeta {
+	name: string;
+	key: string;
+}
+
+/**
+ * A plugin given to the `plugins` option. All hooks are optional.
+ */
+export interface ActionizePlugin {
+	onDefine?: (name: string, reducer: Function) => void;
+	beforeHandle?: (state: any, action: Action, meta: HandlerMeta) => void;
+	afterHandle?: (prevState: any, nextState: any, action: Action, meta: HandlerMeta) => void;
+	onError?: (error: any, action: Action, meta: HandlerMeta) => void;
+}
+
+/**
+ * Options for an Actionize instance.
+ */
+export interface ActionizeOptions {
+	context?: (handler: Function, reducer: Function) => any;
+	Immutable?: any;
+	fsa?: boolean;
+	validator?: (schema: Schema, payload: any) => string[];
+	onInvalidAction?: (errors: string[], type: string, payload: any) => void;
+	indexTypes?: boolean;
+	hmr?: boolean;
+	plugins?: ActionizePlugin[];
+	errorPolicy?: 'throw' | 'skip' | 'report';
+	onHandlerError?: (error: any, type: string, name: string) => void;
+	strict?: boolean;
+}
+
+/**
+ * An action object.
+ */
+export interface Action {
+	type: string;
+	[key: string]: any;
+}
+
+/**
+ * A reducer, with its actions and nested reducers as properties.
+ */
+export type Reducer<S = any, A = {}> = ((state: S | undefined, action: Action) => S) & A;
+
+/**
+ * The state type of a reducer.
+ */
+export type StateOf<R> = R extends (state: any, action: any) => infer S ? S : never;
+
+/**
+ * The actions and nested reducers of a reducer, without its call signature.
+ */
+export type ActionsOf<R> = { [K in keyof R]: R[K] };
+
+/**
+ * An action handler on a reducer. The type of the second parameter is the payload for dispatchers and creators.
+ */
+export type ActionHandler<S = any, P = any> = ((state: S, action: P) => S) & {
+	type: string;
+	schema?: Schema;
+};
+
+/**
+ * The type of the second parameter of an action handler, or void when there is none.
+ */
+export type ActionParam<H> = H extends (state: any, ...args: infer A) => any
+	? (A extends [] ? void : A[0])
+	: any;
+
+/**
+ * The functions given to effects.
+ */
+export interface EffectApi {
+	dispatch: (action: Action) => any;
+	getState?: () => any;
+}
+
+/**
+ * An action creator for one of the lifecycle stages of an effect.
+ */
+export type EffectStage<P = any> = ((payload: P, meta?: any) => Action) & { type: string };
+
+/**
+ * An asynchronous effect created by build.effect.
+ */
+export interface Effect<P = any, R = any> {
+	(payload: P, api: EffectApi): Promise<R>;
+	effect: (payload: P, api: EffectApi) => R | PromiseLike<R>;
+	pending: EffectStage<P>;
+	fulfilled: EffectStage<any>;
+	rejected: EffectStage<any>;
+}
+
+type IsAny<T> = 0 extends (1 & T) ? true : false;
+
+type PayloadArg<P> = P extends object ? Omit<P, 'type'> : P;
+
+/**
+ * A dispatcher function for an action.
+ */
+export type Invoker<P> = IsAny<P> extends true
+	? (payload?: any, meta?: any) => any
+	: [P] extends [void]
+		? (payload?: void, meta?: any) => any
+		: (payload: PayloadArg<P>, meta?: any) => any;
+
+/**
+ * An action creator for an action.
+ */
+export type ActionCreator<P = any> = (IsAny<P> extends true
+	? (payload?: any, meta?: any) => Action
+	: [P] extends [void]
+		? (payload?: void, meta?: any) => Action
+		: (payload: PayloadArg<P>, meta?: any) => Action) & { type: string };
+
+type TreeKey<V, K> = V extends Function | object ? (K extends 'selectors' ? never : K) : never;
+
+/**
+ * A dispatcher object tree created by actionize.dispatcher.
+ */
+export type Dispatcher<T> = {
+	[K in keyof T as TreeKey<T[K], K>]: T[K] extends { _keyed: true }
+		? (key: string | number) => Dispatcher<T[K]>
+		: T[K] extends Effect<infer P, infer R>
+			? ([P] extends [void] ? (payload?: void) => Promise<R> : (payload: P) => Promise<R>)
+			: T[K] extends ActionHandler<any, infer P>
+				? Invoker<P>
+				: Dispatcher<T[K]>;
+};
+
+/**
+ * The dispatcher created by actionize.dispatcher, with `batch` to dispatch several actions at once.
+ */
+export type BatchDispatcher<T> = Dispatcher<T> & {
+	batch(callback: (dispatcher: Dispatcher<T>) => void): any;
+};
+
+/**
+ * An action creator object tree created by actionize.creators.
+ */
+export type Creators<T> = {
+	[K in keyof T as TreeKey<T[K], K>]: T[K] extends { _keyed: true }
+		? (key: string | number) => Creators<T[K]>
+		: T[K] extends Effect<infer P>
+			? { pending: ActionCreator<P>; fulfilled: ActionCreator<any>; rejected: ActionCreator<any> }
+			: T[K] extends ActionHandler<any, infer P>
+				? ActionCreator<P>
+				: Creators<T[K]>;
+};
+
+/**
+ * A reducer in the catalog returned by actionize.describe.
+ */
+export interface ReducerDescription {
+	actions: { [key: string]: string };
+	effects: { [key: string]: { pending: string; fulfilled: string; rejected: string } };
+	handles: string[] | null;
+	children: { [key: string]: ReducerDescription };
+	keyed?: true;
+}
+
+export default class Actionize {
+	constructor(options?: ActionizeOptions);
+
+	define<R extends Function>(name: string, creator: (build: ActionizeBuild) => R): R;
+
+	set(name: string, creator: (build: ActionizeBuild) => Function): void;
+
+	get<R = Reducer>(name: string): R;
+
+	remove(name: string): void;
+
+	replace<R extends Function>(name: string, creator: (build: ActionizeBuild) => R): R | null;
+
+	root(options?: ActionizeRootOptions): ActionizeRoot;
+
+	scope(namespace: string): ActionizeScope;
+
+	devtools(options?: ActionizeDevtoolsOptions): ActionizeDevtools;
+
+	recorder(): ActionizeRecorder;
+
+	handler(type: string): ActionHandler | null;
+
+	describe(): { [name: string]: ReducerDescription };
+
+	describeJSON(space?: number | string): string;
+
+	dispatcher<T>(actions: T, dispatch: (action: Action) => any, getState?: () => any): BatchDispatcher<T>;
+
+	creators<T>(actions: T): Creators<T>;
+
+	static buildActionType(namespace: string, key: string): string;
+
+	static buildAction(type: string, payload?: any, meta?: any, fsa?: boolean): Action;
+
+	static isSpreadPayload(payload: any): boolean;
+
+	static payloadOf(action: Action, fsa?: boolean): any;
+
+	static batchAction(actions: Action[], fsa?: boolean): Action;
+
+	static isBatch(action: any): boolean;
+
+	static validateName(name: string): void;
+
+	static validateActionKey(key: string): void;
+}
@@ -1,4 +1,17 @@
 import ActionizeBuild from './ActionizeBuild';
+import ActionizeDevtools from './ActionizeDevtools';
+import ActionizeRecorder from './ActionizeRecorder';
+import ActionizeRoot from './ActionizeRoot';
+import ActionizeSchema from './ActionizeSchema';
+import ActionizeScope from './ActionizeScope';
+
+/**
+ * The action type of batches, which are unpacked by reducers. Reserved by Actionize, so it doesn't use the format of
+ * other action types.
+ *
+ * @type {string}
+ */
+const BATCH_TYPE = '@@actionize/batch';
 
 export default class Actionize
 {
@@ -12,7 +25,18 @@ export default class Actionize
 		this._reducers = {};
 		this._actionTypes = {};
 		this._reducersReserved = [];
+		this._reservations = {};
+		this._hotReducers = {};
 		this._options = options || {};
+		const errorPolicy = this._options.errorPolicy;
+		if (errorPolicy && [ 'throw', 'skip', 'report' ].indexOf(errorPolicy) < 0) {
+			throw new Error('Error policy given must be "throw", "skip" or "report".');
+		}
+		(this._options.plugins || []).forEach(plugin => {
+			if (!plugin || typeof plugin !== 'object') {
+				throw new Error('Plugins given must be objects.');
+			}
+		});
 	}
 
 	/**
@@ -67,25 +91,356 @@ export default class Actionize
 		if (typeof reducer !== 'function') {
 			throw new Error('Creator given for "' + name + '" must return a function.');
 		}
-		this._reserveActionTypes(reducer);
+		if (this._options.hmr) {
+			reducer = this._hotReducer(name, reducer);
+		}
+		this._reservations[name] = this._reserveActionTypes(reducer);
 		this._reducers[name] = reducer;
+		(this._options.plugins || []).forEach(plugin => plugin.onDefine && plugin.onDefine(name, reducer));
 		return reducer;
 	}
 
+	/**
+	 * Remove the reducer defined with the given name. The action types it reserved are released, so the name can be
+	 * defined again.
+	 *
+	 * @param {string} name The name of the reducer to remove.
+	 *
+	 * @returns {void}
+	 */
+	remove(name) {
+		Actionize.validateName(name);
+		if (!this._creators[name]) {
+			throw new Error('Name given to actionize.remove(name) is not defined.');
+		}
+		this._releaseActionTypes(this._reservations[name]);
+		delete this._creators[name];
+		delete this._reducers[name];
+		delete this._reservations[name];
+		delete this._hotReducers[name];
+	}
+
+	/**
+	 * Replace the creator for a reducer that is already defined, for example when its module is hot reloaded.
+	 *
+	 * The cached reducer and its action types are released, and the reducer is created again if it was created
+	 * before. Action types are built from the name and action keys, so they stay the same for existing dispatchers
+	 * and for other reducers handling them. With the `hmr` option, `.get` returns the same reducer function before
+	 * and after replacing, so reducers it was combined into use the new handlers.
+	 *
+	 * @param {string}   name    The name for the reducer.
+	 * @param {Function} creator The new reducer creator function.
+	 *
+	 * @returns {?Function} The new reducer, if it was created before.
+	 */
+	replace(name, creator) {
+		Actionize.validateName(name);
+		if (typeof creator !== 'function') {
+			throw new Error('Creator given must be a function.');
+		}
+		const previousCreator = this._creators[name];
+		if (!previousCreator) {
+			throw new Error('Name given to actionize.replace(name, creator) is not defined.');
+		}
+		const previousReducer = this._reducers[name];
+		const previousReservation = this._reservations[name];
+		const previousHot = this._hotReducers[name] && this._hotReducers[name].current;
+		this._releaseActionTypes(previousReservation);
+		delete this._reducers[name];
+		delete this._reservations[name];
+		this._creators[name] = creator;
+		if (!previousReducer) {
+			return null;
+		}
+		try {
+			return this.get(name);
+		} catch (err) {
+			// Keep the previous reducer working if the new one can't be created.
+			this._creators[name] = previousCreator;
+			if (previousHot) {
+				this._hotReducer(name, previousHot);
+			}
+			this._reducers[name] = previousReducer;
+			this._reservations[name] = this._reserveActionTypes(previousReducer);
+			throw err;
+		}
+	}
+
+	/**
+	 * Create a root reducer that named reducers can be mounted to and unmounted from at runtime.
+	 *
+	 * @param {Object} options Options for the root. See ActionizeRoot.
+	 *
+	 * @returns {ActionizeRoot} The root.
+	 */
+	root(options) {
+		return new ActionizeRoot(this, options);
+	}
+
+	/**
+	 * Create a scope, which defines and gets reducers with names prefixed with the namespace. Scopes share this
+	 * instance's names and action types, so they can't collide.
+	 *
+	 * @param {string} namespace The namespace.
+	 * For example:
+	 * <pre><code>
+	 * const todos = actionize.scope('todos');
+	 * todos.define('list', build => build.reducer([], { ... })); // Defines "todos.list".
+	 * </code></pre>
+	 *
+	 * @returns {ActionizeScope} The scope.
+	 */
+	scope(namespace) {
+		return new ActionizeScope(this, namespace);
+	}
+
+	/**
+	 * Create a helper for the Redux DevTools extension, which shows Actionize action types grouped by reducer name and
+	 * dispatches actions given in the DevTools.
+	 *
+	 * @param {Object} options Options for the helper. See ActionizeDevtools.
+	 *
+	 * @returns {ActionizeDevtools} The helper.
+	 */
+	devtools(options) {
+		return new ActionizeDevtools(this, options);
+	}
+
+	/**
+	 * Create a recorder, which records the Actionize actions dispatched to a store in a log that can be replayed
+	 * against the reducers of another Actionize instance.
+	 *
+	 * @returns {ActionizeRecorder} The recorder.
+	 */
+	recorder() {
+		return new ActionizeRecorder(this);
+	}
+
+	/**
+	 * Get the action handler for an action type, from the reducers that were created.
+	 *
+	 * @param {string} type The action type.
+	 *
+	 * @returns {?Function} The action handler, or null if no action handler is defined for it.
+	 */
+	handler(type) {
+		return this._actionTypes.hasOwnProperty(type) ? this._actionTypes[type] : null;
+	}
+
+	/**
+	 * Describe the defined reducers and their action types. Reducers that were set but not created yet are created.
+	 *
+	 * Each reducer is described as:
+	 * - `actions`: Its action keys and their action types.
+	 * - `effects`: Its effect keys and the action types of their stages.
+	 * - `handles`: The other action types it handles with handle() keys, or null if they are not known.
+	 * - `children`: The reducers combined or nested into it, by key, described the same way.
+	 * - `keyed`: Set to true for reducers created by keyed().
+	 * For example:
+	 * <pre><code>
+	 * {
+	 *   todos: {
+	 *     actions: { add: '|todos:add' },
+	 *     effects: { load: { pending: '|todos:load/pending', ... } },
+	 *     handles: [ '|session:logout' ],
+	 *     children: {}
+	 *   }
+	 * }
+	 * </code></pre>
+	 *
+	 * @returns {Object.<string, Object>} The descriptions by reducer name.
+	 */
+	describe() {
+		const catalog = {};
+		Object.keys(this._creators).sort().forEach(name => {
+			catalog[name] = this._describeReducer(this.get(name));
+		});
+		return catalog;
+	}
+
+	/**
+	 * Describe the defined reducers and their action types as JSON, to generate docs or compare versions.
+	 *
+	 * @param {number|string} space The indentation for JSON.stringify.
+	 *
+	 * @returns {string} The JSON of actionize.describe().
+	 */
+	describeJSON(space) {
+		return JSON.stringify(this.describe(), null, space);
+	}
+
+	/**
+	 * Describe a reducer and its action types. See actionize.describe().
+	 *
+	 * @param {Function} reducer The reducer.
+	 *
+	 * @returns {Object} The description.
+	 */
+	_describeReducer(reducer) {
+		const actions = {};
+		const effects = {};
+		const children = {};
+		const known = {};
+		Object.keys(reducer).forEach(key => {
+			const item = reducer[key];
+			if (typeof item !== 'function') {
+				return;
+			}
+			if (item.type) {
+				actions[key] = item.type;
+				known[item.type] = true;
+			} else if (item.effect) {
+				effects[key] = {};
+				Object.keys(item).forEach(stage => {
+					if (item[stage] && item[stage].type) {
+						effects[key][stage] = item[stage].type;
+					}
+				});
+			} else {
+				children[key] = this._describeReducer(item);
+				Object.assign(known, ActionizeBuild.handledTypes(item));
+			}
+		});
+		const handledTypes = ActionizeBuild.handledTypes(reducer);
+		const handles = handledTypes && Object.keys(handledTypes).filter(type => !known[type]).sort();
+		const description = { actions, effects, handles, children };
+		if (ActionizeBuild.isKeyed(reducer)) {
+			description.keyed = true;
+		}
+		return description;
+	}
+
 	/**
 	 * Build a dispatcher from the given actions.
 	 *
 	 * @param {Object.<string, Object|Function>} actions  The actions to build a dispatcher from.
 	 * @param {Function}                         dispatch The Redux store dispatch function.
+	 * @param {Function}                         getState The Redux store getState function (given to effects).
+	 *
+	 * @returns {Object.<string, Object|Function>} A dispatcher object tree. Its `batch` function takes a callback
+	 * that is given a dispatcher of the same actions, and dispatches the actions dispatched with it as a single batch
+	 * action. For example:
+	 * <pre><code>
+	 * dispatcher.batch(d => {
+	 *   d.todos.add({ text: 'foo' });
+	 *   d.filters.set({ filter: 'all' });
+	 * });
+	 * </code></pre>
+	 */
+	dispatcher(actions, dispatch, getState) {
+		const tree = this._actionTree(actions, value => {
+			if (value.effect) {
+				return args => value(args, { dispatch, getState });
+			}
+			if (value.type) {
+				const creator = this._actionCreator(value);
+				return (args, meta) => {
+					const schema = value.schema;
+					if (schema && !(args instanceof Error) && !ActionizeSchema.check(schema, args, value.type, this._options)) {
+						return;
+					}
+					return dispatch(creator(args, meta));
+				};
+			}
+		});
+		if (tree.batch) {
+			throw new Error('Actions given to actionize.dispatcher(actions, dispatch) cannot have "batch".');
+		}
+		const batch = callback => {
+			const batched = [];
+			let collecting = true;
+			const collector = this.dispatcher(actions, action => {
+				if (collecting) {
+					batched.push(action);
+					return action;
+				}
+				return dispatch(action);
+			}, getState);
+			try {
+				callback(collector);
+			} finally {
+				collecting = false;
+			}
+			if (batched.length) {
+				return dispatch(Actionize.batchAction(batched, this._options.fsa));
+			}
+		};
+		// Not enumerable, so the dispatcher's keys are only the given actions.
+		Object.defineProperty(tree, 'batch', { value: batch });
+		return tree;
+	}
+
+	/**
+	 * Get a stable reducer for the given name that calls the given reducer, and has its actions and properties.
+	 * Used by the `hmr` option, so the same reducer function is used when its creator is replaced.
+	 *
+	 * @param {string}   name    The name of the reducer.
+	 * @param {Function} reducer The reducer to use.
+	 *
+	 * @returns {Function} The stable reducer.
+	 */
+	_hotReducer(name, reducer) {
+		let hot = this._hotReducers[name];
+		if (!hot) {
+			hot = this._hotReducers[name] = {};
+			hot.reducer = (state, action) => hot.current(state, action);
+			// Combined and nested reducers are called in the order of the current reducer's handlers.
+			Object.defineProperty(hot.reducer, '_order', {
+				value: type => hot.current._order ? hot.current._order(type) : null
+			});
+		}
+		const hotReducer = hot.reducer;
+		Object.keys(hotReducer).forEach(key => {
+			delete hotReducer[key];
+		});
+		Object.keys(reducer).forEach(key => {
+			hotReducer[key] = reducer[key];
+		});
+		ActionizeBuild.mount(reducer, hotReducer, state => state);
+		hot.current = reducer;
+		return hotReducer;
+	}
+
+	/**
+	 * Build action creators from the given actions. Action creators return action objects without dispatching them.
 	 *
-	 * @returns {Object.<string, Object|Function>} A dispatcher object tree.
+	 * @param {Object.<string, Object|Function>} actions The actions to build action creators from.
+	 *
+	 * @returns {Object.<string, Object|Function>} An action creator object tree.
 	 */
-	dispatcher(actions, dispatch) {
+	creators(actions) {
+		return this._actionTree(actions, value => value.type && this._actionCreator(value));
+	}
+
+	/**
+	 * Create an action creator for the given action handler.
+	 *
+	 * @param {Function} handler The action handler.
+	 *
+	 * @returns {Function} The action creator. Has the handler's action type as `type`.
+	 */
+	_actionCreator(handler) {
+		const type = handler.type;
+		const creator = (args, meta) => Actionize.buildAction(type, args, meta, this._options.fsa);
+		creator.type = type;
+		return creator;
+	}
+
+	/**
+	 * Walk the given actions and build an object tree with the same structure.
+	 *
+	 * @param {Object.<string, Object|Function>} actions    The actions to walk.
+	 * @param {Function}                         createLeaf Returns the tree item for the given function,
+	 * or nothing to walk into the function's properties instead.
+	 *
+	 * @returns {Object.<string, Object|Function>} The object tree.
+	 */
+	_actionTree(actions, createLeaf) {
 
 		const processedItems = [];
 		const processedResults = [];
 
-		const dispatcherLevel = actions => {
+		const treeLevel = actions => {
 			const result = {};
 			Object.keys(actions).forEach(key => {
 				const value = actions[key];
@@ -94,13 +449,15 @@ export default class Actionize
 					result[key] = processedResults[processedIndex];
 				} else {
 					const type = typeof value;
-					if (type === 'function' && value.type) {
-						const invoker = args => dispatch({ ...args, type: value.type });
-						result[key] = invoker;
+					const leaf = type === 'function' && (ActionizeBuild.isKeyed(value)
+						? this._keyedLeaf(value, createLeaf)
+						: createLeaf(value));
+					if (leaf) {
+						result[key] = leaf;
 						processedItems.push(value);
-						processedResults.push(invoker)
+						processedResults.push(leaf);
 					} else if (type === 'function' || type === 'object') {
-						const nested = dispatcherLevel(value);
+						const nested = treeLevel(value);
 						if (Object.keys(nested).length) {
 							result[key] = nested;
 							processedItems.push(value);
@@ -112,20 +469,46 @@ export default class Actionize
 			return result;
 		};
 
-		return dispatcherLevel(actions);
+		return treeLevel(actions);
+	}
+
+	/**
+	 * Create the tree item for a keyed reducer, which takes an instance key and returns the tree for the reducer's
+	 * actions. Their actions are given the key as `meta.key`.
+	 *
+	 * @param {Function} reducer    The keyed reducer.
+	 * @param {Function} createLeaf Returns the tree item for the given function.
+	 *
+	 * @returns {Function} The tree item, in the format `function(key)`.
+	 */
+	_keyedLeaf(reducer, createLeaf) {
+		return key => this._actionTree(reducer, value => {
+			const leaf = createLeaf(value);
+			if (!leaf) {
+				return leaf;
+			}
+			const keyedLeaf = (args, meta) => leaf(args, { ...meta, key });
+			if (leaf.type) {
+				keyedLeaf.type = leaf.type;
+			}
+			return keyedLeaf;
+		});
 	}
 
 	/**
 	 * Check to make sure there are only a single instance of each action on the given reducer.
 	 *
-	 * @param {Function} reducer The reducer to check.
+	 * @param {Function} reducer     The reducer to check.
+	 * @param {Object}   reservation The reservation to add the reserved action types and reducers to.
+	 *
+	 * @returns {{types: string[], reducers: Function[]}} The reservation.
 	 */
-	_reserveActionTypes(reducer) {
+	_reserveActionTypes(reducer, reservation = { types: [], reducers: [] }) {
 
 		// Don't reserve the same reducer twice.
 		const reserved = this._reducersReserved;
 		if (reserved.indexOf(reducer) >= 0) {
-			return;
+			return reservation;
 		}
 
 		const types = this._actionTypes;
@@ -138,19 +521,45 @@ export default class Actionize
 					if (types[type]) {
 						throw new Error('Action "' + item.type + '" is defined twice.');
 					}
-					types[type] = true;
+					types[type] = item;
+					reservation.types.push(type);
 					reserve = true;
 				} else {
-					this._reserveActionTypes(item);
+					this._reserveActionTypes(item, reservation);
 				}
 			}
 		});
 
 		if (reserve) {
 			reserved.push(reducer);
+			reservation.reducers.push(reducer);
 		}
+
+		return reservation;
 	}
 
+	/**
+	 * Release the action types and reducers of a reservation, so they can be reserved again.
+	 *
+	 * @param {{types: string[], reducers: Function[]}} reservation The reservation to release.
+	 *
+	 * @returns {void}
+	 */
+	_releaseActionTypes(reservation) {
+		if (!reservation) {
+			return;
+		}
+		reservation.types.forEach(type => {
+			delete this._actionTypes[type];
+		});
+		const reserved = this._reducersReserved;
+		reservation.reducers.forEach(reducer => {
+			const index = reserved.indexOf(reducer);
+			if (index >= 0) {
+				reserved.splice(index, 1);
+			}
+		});
+	}
 
 	/**
 	 * Create an action type string.
@@ -166,6 +575,96 @@ export default class Actionize
 		return '|' + namespace + ':' + key;
 	}
 
+	/**
+	 * Create an action object.
+	 *
+	 * Plain object payloads are spread into the action, other payloads (strings, numbers, arrays, Errors) are set
+	 * as the action's `payload`. In FSA mode, the action is a Flux Standard Action: the payload is always set as
+	 * `payload`, and Error payloads set `error` to true.
+	 *
+	 * @param {string}  type    The action type.
+	 * @param {*}       payload The action payload.
+	 * @param {*}       meta    The action meta, if any.
+	 * @param {boolean} fsa     Whether to create a Flux Standard Action.
+	 * @private
+	 *
+	 * @returns {Object} The action.
+	 */
+	static buildAction(type, payload, meta, fsa) {
+		let action;
+		if (!fsa && Actionize.isSpreadPayload(payload)) {
+			action = { ...payload, type };
+		} else {
+			action = { type };
+			if (payload !== undefined) {
+				action.payload = payload;
+			}
+			if (fsa && payload instanceof Error) {
+				action.error = true;
+			}
+		}
+		if (meta !== undefined) {
+			action.meta = meta;
+		}
+		return action;
+	}
+
+	/**
+	 * Check if a payload is spread into actions outside of FSA mode: plain objects are, other payloads (strings,
+	 * numbers, arrays, Errors) are set as the action's `payload`.
+	 *
+	 * @param {*} payload The payload.
+	 *
+	 * @returns {boolean} Whether the payload is spread into actions.
+	 */
+	static isSpreadPayload(payload) {
+		return !!payload && typeof payload === 'object' && !Array.isArray(payload) && !(payload instanceof Error);
+	}
+
+	/**
+	 * Get the payload an action was created with by buildAction. Outside of FSA mode, actions with only a `payload`
+	 * that isn't spread (besides `type` and `meta`) were created from it, and other actions are their own payload.
+	 *
+	 * @param {Object}  action The action.
+	 * @param {boolean} fsa    Whether the action is a Flux Standard Action.
+	 *
+	 * @returns {*} The payload.
+	 */
+	static payloadOf(action, fsa) {
+		if (fsa) {
+			return action.payload;
+		}
+		const keys = Object.keys(action).filter(key => key !== 'type' && key !== 'meta');
+		if (keys.length === 1 && keys[0] === 'payload' && !Actionize.isSpreadPayload(action.payload)) {
+			return action.payload;
+		}
+		return action;
+	}
+
+	/**
+	 * Create a batch action, which reducers created by ActionizeBuild unpack to handle the given actions in order
+	 * with a single dispatch.
+	 *
+	 * @param {Object[]} actions The actions.
+	 * @param {boolean}  fsa     Whether to create a Flux Standard Action.
+	 *
+	 * @returns {Object} The batch action.
+	 */
+	static batchAction(actions, fsa) {
+		return Actionize.buildAction(BATCH_TYPE, actions, undefined, fsa);
+	}
+
+	/**
+	 * Check if an action is a batch action.
+	 *
+	 * @param {Object} action The action.
+	 *
+	 * @returns {boolean} Whether the action is a batch.
+	 */
+	static isBatch(action) {
+		return !!action && action.type === BATCH_TYPE && Array.isArray(action.payload);
+	}
+
 	/**
 	 * Check if the name is valid.
 	 *
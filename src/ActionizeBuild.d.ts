@@ -0,0 +1,293 @@
+import {
+	Action,
+	ActionHandler,
+	ActionizeOptions,
+	ActionParam,
+	ActionsOf,
+	Effect,
+	EffectApi,
+	Reducer,
+	StateOf
+} from './Actionize';
+import { Schema } from './ActionizeSchema';
+
+/**
+ * The action handlers given to build.reducer. Handlers given with build.handle() keys are not checked, so their
+ * parameters need type annotations.
+ */
+export type ReducerHandlers<S, H> = {
+	[K in keyof H]: string extends K
+		? any
+		: H[K] extends Effect ? H[K] : (state: S, action: any) => S;
+};
+
+/**
+ * The actions of a reducer created by build.reducer.
+ */
+export type ReducerActions<S, H> = {
+	[K in keyof H as string extends K ? never : K]: H[K] extends Effect ? H[K] : ActionHandler<S, ActionParam<H[K]>>;
+};
+
+/**
+ * Reducers by key.
+ */
+export type ReducerMap = { [key: string]: (state: any, action: any) => any };
+
+/**
+ * The state of reducers combined into a plain JS object.
+ */
+export type CombinedState<R> = { [K in keyof R]: StateOf<R[K]> };
+
+/**
+ * The actions of the reducers given to build.sequence.
+ */
+export type SequenceActions<R extends any[]> = R extends [ infer F, ...infer T ] ? ActionsOf<F> & SequenceActions<T> : {};
+
+/**
+ * Selectors given to build.selectors.
+ */
+export type SelectorMap<S> = { [key: string]: (state: S, ...args: any[]) => any };
+
+/**
+ * Selectors attached to a reducer. Once the reducer is combined or nested, they take the outermost state.
+ */
+export type Selectors<D> = {
+	[K in keyof D]: D[K] extends (state: any, ...args: infer A) => infer T ? (state: any, ...args: A) => T : never;
+};
+
+/**
+ * The state of a reducer created by build.undoable.
+ */
+export interface History<S> {
+	past: S[];
+	present: S;
+	future: S[];
+}
+
+/**
+ * The history actions of a reducer created by build.undoable.
+ */
+export interface HistoryActions {
+	undo: ActionHandler<any, void>;
+	redo: ActionHandler<any, void>;
+	jump: ActionHandler<any, number>;
+	clearHistory: ActionHandler<any, void>;
+}
+
+/**
+ * The state of a reducer created by build.entities, with plain JS structures.
+ */
+export interface EntityState<E> {
+	byId: { [id: string]: E };
+	allIds: Array<string | number>;
+}
+
+/**
+ * Options for build.entities.
+ */
+export interface EntityOptions<E> {
+	idKey?: string;
+	sortComparer?: (a: E, b: E) => number;
+	immutable?: boolean;
+}
+
+/**
+ * The actions of a reducer created by build.entities.
+ */
+export interface EntityActions<E> {
+	addOne: ActionHandler<any, { entity: E }>;
+	addMany: ActionHandler<any, { entities: E[] }>;
+	upsertMany: ActionHandler<any, { entities: Array<Partial<E>> }>;
+	updateOne: ActionHandler<any, { id: string | number; changes: Partial<E> }>;
+	removeOne: ActionHandler<any, { id: string | number }>;
+	removeAll: ActionHandler<any, void>;
+	setAll: ActionHandler<any, { entities: E[] }>;
+}
+
+/**
+ * The selectors of a reducer created by build.entities.
+ */
+export interface EntitySelectors<E> {
+	all: (state: any) => E[];
+	ids: (state: any) => Array<string | number>;
+	byId: (state: any) => { [id: string]: E };
+	total: (state: any) => number;
+	get: (state: any, id: string | number) => E | undefined;
+}
+
+/**
+ * The state of a reducer created by build.machine.
+ */
+export interface MachineState<V extends string = string, C = any> {
+	value: V;
+	context: C;
+}
+
+/**
+ * A transition given to build.machine, either the name of the target state or an object.
+ */
+export type MachineTransition<V extends string, C> = V | {
+	target?: V;
+	guard?: (context: C, action: any) => boolean;
+	update?: (context: C, action: any) => C;
+};
+
+/**
+ * A state given to build.machine.
+ */
+export interface MachineStateNode<V extends string, E extends string, C> {
+	entry?: (context: C, action: any) => C;
+	exit?: (context: C, action: any) => C;
+	on?: { [K in E]?: MachineTransition<V, C> };
+}
+
+/**
+ * Options for build.machine.
+ */
+export interface MachineOptions<V extends string, E extends string, C> {
+	initial: V;
+	states: { [K in V]: MachineStateNode<V, E, C> };
+	context?: C;
+	warn?: (message: string) => void;
+}
+
+/**
+ * A reducer created by build.keyed. Its state has an instance state for each key.
+ */
+export type KeyedReducer<R> = Reducer<
+	{ [key: string]: StateOf<R> },
+	Omit<ActionsOf<R>, 'selectors'> & { removeInstance: ActionHandler<any, void>; _keyed: true }
+>;
+
+/**
+ * A storage for build.persist, such as `localStorage`.
+ */
+export interface PersistStorage {
+	getItem(key: string): string | null | undefined | PromiseLike<string | null | undefined>;
+	setItem(key: string, value: string): void | PromiseLike<void>;
+}
+
+/**
+ * Options for build.persist.
+ */
+export interface PersistOptions {
+	storage: PersistStorage;
+	key?: string;
+	version?: number;
+	migrate?: ((state: any, version: number) => any) | { [version: number]: (state: any) => any };
+	serialize?: (item: { version: number; state: any }) => string;
+	deserialize?: (item: string) => { version?: number; state: any };
+	onError: (error: any) => void;
+}
+
+export default class ActionizeBuild {
+	constructor(name: string, options?: ActionizeOptions);
+
+	reducer<S, H>(initialState: S, actions: H & ReducerHandlers<S, H> & ThisType<any>): Reducer<S, ReducerActions<S, H>>;
+
+	validate<H extends Function>(schema: Schema, handler: H): H & { schema: Schema };
+
+	withError<H extends Function>(
+		handler: H,
+		errorHandler: (state: any, error: any, action: Action) => any
+	): H & { errorHandler: Function };
+
+	priority<H extends Function>(priority: number, handler: H): H & { priority: number };
+
+	before<H extends Function>(handler: H): H & { phase: 'before' };
+
+	after<H extends Function>(handler: H): H & { phase: 'after' };
+
+	/**
+	 * Returns a marked state, typed as the state so action handlers can return it.
+	 */
+	stop<S>(state: S): S;
+
+	effect<P = void, R = any>(key: string, runner: (payload: P, api: EffectApi) => R | PromiseLike<R>): Effect<P, R>;
+
+	handle(...items: any[]): string;
+
+	selectors<R extends Function, D extends SelectorMap<StateOf<R>>>(
+		reducer: R,
+		selectors: D
+	): R & { selectors: Selectors<D> };
+
+	undoable<R extends Function>(
+		reducer: R,
+		options?: { limit?: number; filter?: any }
+	): Reducer<History<StateOf<R>>, ActionsOf<R> & HistoryActions>;
+
+	entities<E = any>(
+		options?: EntityOptions<E>
+	): Reducer<EntityState<E>, EntityActions<E> & { selectors: EntitySelectors<E> }>;
+
+	machine<V extends string, E extends string, C = undefined>(
+		options: MachineOptions<V, E, C>
+	): Reducer<
+		MachineState<V, C>,
+		{ [K in E]: ActionHandler<MachineState<V, C>, any> } & {
+			selectors: { matches: (state: any, value: V) => boolean };
+		}
+	>;
+
+	keyed<R extends Function>(reducer: R, options?: { keyFrom?: (action: Action) => any }): KeyedReducer<R>;
+
+	persist<R extends Function>(
+		reducer: R,
+		options: PersistOptions
+	): Reducer<StateOf<R>, ActionsOf<R> & {
+		rehydrate: Effect<void, StateOf<R> | undefined>;
+		persistence: {
+			middleware(): (store: { getState: () => any; dispatch: (action: any) => any }) =>
+				(next: (action: any) => any) => (action: any) => any;
+		};
+	}>;
+
+	combine<R extends ReducerMap, S = any>(
+		reducers: R,
+		pick: (state: S, key: string) => any,
+		join: (state: S, values: { [key: string]: any }) => S
+	): Reducer<S, R>;
+
+	combinePlain<R extends ReducerMap>(reducers: R): Reducer<CombinedState<R>, R>;
+
+	combineImmutable<R extends ReducerMap>(reducers: R, structure?: (values: { [key: string]: any }) => any): Reducer<any, R>;
+
+	nest<P extends Function, R extends ReducerMap, S = any>(
+		parent: P,
+		reducers: R,
+		pick: (state: S, key: string) => any,
+		join: (state: S, values: { [key: string]: any }) => S
+	): Reducer<S, ActionsOf<P> & R>;
+
+	nestPlain<P extends Function, R extends ReducerMap>(
+		parent: P,
+		reducers: R
+	): Reducer<StateOf<P> & CombinedState<R>, ActionsOf<P> & R>;
+
+	nestImmutable<P extends Function, R extends ReducerMap>(parent: P, reducers: R): Reducer<any, ActionsOf<P> & R>;
+
+	sequence<R extends Function[]>(...reducers: R): Reducer<StateOf<R[0]>, SequenceActions<R>>;
+
+	branch<A extends Function, B extends Function>(
+		predicate: (state: StateOf<A> | undefined, action: Action) => any,
+		reducerA: A,
+		reducerB: B
+	): Reducer<StateOf<A>, ActionsOf<A> & ActionsOf<B>>;
+
+	reset<R extends Function>(reducer: R, onActions: any): Reducer<StateOf<R>, ActionsOf<R>>;
+
+	static selectState(reducer: Function, state: any): any;
+
+	static isKeyed(reducer: Function): boolean;
+
+	static handledTypes(reducer: Function): { [type: string]: boolean } | null;
+
+	static setHandledTypes(reducer: Function, types: { [type: string]: boolean } | null): void;
+
+	static mount(reducer: Function, parent: Function, pick: (state: any) => any): void;
+
+	static unmount(reducer: Function, root: Function): void;
+
+	static unmounted<R extends Function>(reducer: R): Reducer<StateOf<R>>;
+}
@@ -1,4 +1,223 @@
 import Actionize from './Actionize';
+import ActionizeEntities from './ActionizeEntities';
+import ActionizeSchema from './ActionizeSchema';
+import ActionizeStrict from './ActionizeStrict';
+
+/**
+ * The lifecycle stages of an effect. Each stage has its own action type, for example "|todos:load/pending".
+ *
+ * @type {string[]}
+ */
+const EFFECT_STAGES = [ 'pending', 'fulfilled', 'rejected' ];
+
+/**
+ * The ranks of the phases handlers can be given with before() and after(). Other handlers run in between.
+ *
+ * @type {Object.<string, number>}
+ */
+const PHASE_RANKS = { before: 0, after: 2 };
+
+/**
+ * The order of handlers and reducers that weren't given one.
+ *
+ * @type {{rank: number, priority: number}}
+ */
+const DEFAULT_ORDER = { rank: 1, priority: 0 };
+
+/**
+ * The action that a handler stopped with stop(), and the number of reducers handling an action. Reducers run
+ * synchronously, so the outermost one clears the stopped action when it returns. Stops are only recorded while a
+ * reducer is handling the action, so calling a handler directly doesn't stop the action later.
+ */
+let stoppedAction = null;
+let handlingDepth = 0;
+
+/**
+ * The state returned by an action handler with stop().
+ *
+ * @param {*} state The new state.
+ *
+ * @returns {void}
+ */
+function Stopped(state) {
+	this.state = state;
+}
+
+/**
+ * Compare the order of handlers or reducers: by phase, then by priority, highest first. Ties keep the order they
+ * were given in.
+ *
+ * @param {{rank: number, priority: number}} a The order of the first.
+ * @param {{rank: number, priority: number}} b The order of the second.
+ *
+ * @returns {number} Negative if the first runs first, positive if the second does, or zero.
+ */
+function compareOrder(a, b) {
+	return a.rank - b.rank || b.priority - a.priority;
+}
+
+/**
+ * Get the order of the first handler a reducer runs for an action type.
+ *
+ * @param {Function} reducer The reducer.
+ * @param {string}   type    The action type.
+ *
+ * @returns {{rank: number, priority: number}} The order.
+ */
+function orderOf(reducer, type) {
+	return reducer._order && reducer._order(type) || DEFAULT_ORDER;
+}
+
+/**
+ * Sort items by order, keeping the order they were given in for ties.
+ *
+ * @param {Array}    items The items.
+ * @param {Function} order Get the order of an item.
+ *
+ * @returns {Array} The sorted items.
+ */
+function sortByOrder(items, order) {
+	return items
+		.map((item, index) => ({ item, index, order: order(item) }))
+		.sort((a, b) => compareOrder(a.order, b.order) || a.index - b.index)
+		.map(({ item }) => item);
+}
+
+/**
+ * Get the order of the first handler any of the given reducers runs for an action type.
+ *
+ * @param {Function[]} reducers The reducers.
+ * @param {string}     type     The action type.
+ *
+ * @returns {{rank: number, priority: number}} The order.
+ */
+function firstOrderOf(reducers, type) {
+	return reducers
+		.map(reducer => orderOf(reducer, type))
+		.reduce((first, order) => compareOrder(order, first) < 0 ? order : first);
+}
+
+/**
+ * Handle an action in a reducer, tracking when stop() was returned for it.
+ *
+ * @param {Function} callback Handle the action.
+ *
+ * @returns {*} The new state.
+ */
+function handleScope(callback) {
+	handlingDepth++;
+	try {
+		return callback();
+	} finally {
+		handlingDepth--;
+		if (!handlingDepth) {
+			stoppedAction = null;
+		}
+	}
+}
+
+/**
+ * Handle an action in a reducer whose stop() only ends its own handlers, such as one instance of a keyed reducer.
+ *
+ * @param {Function} callback Handle the action.
+ *
+ * @returns {*} The new state.
+ */
+function isolatedScope(callback) {
+	const outerStoppedAction = stoppedAction;
+	handlingDepth++;
+	try {
+		return callback();
+	} finally {
+		handlingDepth--;
+		stoppedAction = outerStoppedAction;
+	}
+}
+
+/**
+ * Check if an action handler returned stop() for an action, so the rest of its handlers are skipped.
+ *
+ * @param {Object} action The action.
+ *
+ * @returns {boolean} Whether the action was stopped.
+ */
+function isStopped(action) {
+	return stoppedAction !== null && stoppedAction === action;
+}
+
+/**
+ * Split a combined action type string from handle() into action types.
+ *
+ * @param {string} types The combined action type string.
+ *
+ * @returns {string[]} The action types.
+ */
+function splitActionTypes(types) {
+	return types.split('|').filter(type => !!type).map(type => '|' + type);
+}
+
+/**
+ * Get the namespace of a namespace action type from handle(), such as "|todos.*".
+ *
+ * @param {string} type The action type.
+ *
+ * @returns {?string} The namespace, or null if it isn't a namespace action type.
+ */
+function namespaceOf(type) {
+	return type.slice(-2) === '.*' ? type.slice(1, -2) : null;
+}
+
+/**
+ * Define a property that is not enumerable, so it is skipped when walking reducers for actions.
+ *
+ * @param {Object} object The object to define the property on.
+ * @param {string} name   The property name.
+ * @param {*}      value  The property value.
+ *
+ * @returns {void}
+ */
+function defineHidden(object, name, value) {
+	Object.defineProperty(object, name, { value, configurable: true, writable: true });
+}
+
+/**
+ * Check if a reducer is the outermost reducer of a tree, or is combined or nested into it.
+ *
+ * @param {Function} reducer The reducer.
+ * @param {Function} root    The outermost reducer of the tree.
+ *
+ * @returns {boolean} Whether the reducer is in the tree.
+ */
+function isWithin(reducer, root) {
+	return reducer === root || !!reducer._mounts && reducer._mounts.some(mount => isWithin(mount.parent, root));
+}
+
+/**
+ * Check if an action type matches one of the namespaces of namespace action types from handle().
+ *
+ * @param {string}   type       The action type.
+ * @param {string[]} namespaces The namespaces.
+ *
+ * @returns {boolean} Whether the action type is in one of the namespaces.
+ */
+function inNamespaces(type, namespaces) {
+	return namespaces.some(
+		namespace => type.indexOf('|' + namespace + ':') === 0 || type.indexOf('|' + namespace + '.') === 0
+	);
+}
+
+/**
+ * Handle the actions of a batch action in order.
+ *
+ * @param {Function} reducer The reducer to handle each action with.
+ * @param {*}        state   The current state.
+ * @param {Object}   action  The batch action.
+ *
+ * @returns {*} The new state.
+ */
+function reduceBatch(reducer, state, action) {
+	return action.payload.reduce((batchState, batchAction) => reducer(batchState, batchAction), state);
+}
 
 export default class ActionizeBuild
 {
@@ -14,7 +233,7 @@ export default class ActionizeBuild
 	}
 
 	/**
-	 * Create a reducer.
+	 * Create a reducer. Batch actions from dispatcher.batch are unpacked, and their actions handled in order.
 	 *
 	 * @param {*}                         initialState The reducer's initial state.
 	 * @param {Object.<string, Function>} actions      A map of action keys to handlers.
@@ -33,45 +252,405 @@ export default class ActionizeBuild
 	reducer(initialState, actions) {
 
 		const actionHandlers = {};
+		let entries = [];
+		const typeHandlers = {};
+		let namespaced = false;
+
+		// With namespace action types, the handlers for an action type are found once. Entries are sorted by order.
+		const handlersFor = type => {
+			if (!namespaced) {
+				return actionHandlers[type];
+			}
+			if (!typeHandlers.hasOwnProperty(type)) {
+				typeHandlers[type] = entries.filter(({ types, namespaces }) => types[type] || inNamespaces(type, namespaces));
+			}
+			return typeHandlers[type];
+		};
 
 		const reducerFunc = (state = initialState, action) => {
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
 			const actionType = action && action.type;
-			const handlers = actionType && actionHandlers[actionType];
-			if (handlers) {
-				handlers.forEach(handler => {
-					state = handler(state, action);
-				});
+			const handlers = actionType && handlersFor(actionType);
+			if (!handlers) {
+				return state;
 			}
-			return state;
+			return handleScope(() => {
+				for (let index = 0; index < handlers.length && !isStopped(action); index++) {
+					state = handlers[index].actionCall(state, action);
+				}
+				return state;
+			});
 		};
 
 		Object.keys(actions).forEach(key => {
 			const actionHandler = actions[key];
-			if (typeof actionHandler === 'function' && key) {
+			if (typeof actionHandler === 'function' && actionHandler.effect && key) {
+				reducerFunc[key] = actionHandler;
+			} else if (typeof actionHandler === 'function' && key) {
 				let actionTypes;
+				const schema = actionHandler.schema;
 				const actionCall = (state, action) => {
+					const fsa = this._options.fsa;
+					const error = fsa && action.error;
+					const payload = fsa ? action.payload : action;
+					if (schema && !error) {
+						// Check the payload the action was created with, the same way dispatchers do. An action with only
+						// a `payload` can also be created from an object with a `payload` key, which is checked as is.
+						const wrapped = Actionize.payloadOf(action, fsa);
+						const created = wrapped !== action && ActionizeSchema.isValid(schema, action, this._options)
+							? action
+							: wrapped;
+						if (!(created instanceof Error) && !ActionizeSchema.check(schema, created, action.type, this._options)) {
+							return state;
+						}
+					}
 					const contextFunc = this._options.context;
 					const context = contextFunc ? contextFunc(actionHandler, reducerFunc) : null;
-					return actionHandler.call(context, state, action);
+					const handler = error && actionHandler.errorHandler || actionHandler;
+					const args = fsa ? [ state, payload, action ] : [ state, action ];
+					return this._callHandler(handler, context, args, key);
 				};
 				if (key[0] === '|') {
-					actionTypes = key.split('|').filter(key => !!key).map(key => '|' + key);
+					actionTypes = splitActionTypes(key);
 				} else {
 					const actionType = Actionize.buildActionType(this._name, key);
 					actionTypes = [actionType];
 					actionCall.type = actionType;
+					actionCall.schema = schema;
 					reducerFunc[key] = actionCall;
 				}
-				actionTypes.forEach(actionType => {
-					const list = actionHandlers[actionType] || (actionHandlers[actionType] = []);
-					list.push(actionCall);
-				});
+				const phase = actionHandler.phase;
+				const order = {
+					rank: PHASE_RANKS.hasOwnProperty(phase) ? PHASE_RANKS[phase] : DEFAULT_ORDER.rank,
+					priority: actionHandler.priority || DEFAULT_ORDER.priority
+				};
+				entries.push({ actionCall, order, types: {}, namespaces: [], actionTypes });
 			}
 		});
 
+		// Handlers for the same action type run by their order, then in the order they were given.
+		entries = sortByOrder(entries, entry => entry.order);
+		entries.forEach(entry => {
+			entry.actionTypes.forEach(actionType => {
+				const namespace = namespaceOf(actionType);
+				if (namespace) {
+					entry.namespaces.push(namespace);
+					namespaced = true;
+					return;
+				}
+				entry.types[actionType] = true;
+				const list = actionHandlers[actionType] || (actionHandlers[actionType] = []);
+				list.push(entry);
+			});
+		});
+
+		// The action types handled for namespaces aren't known.
+		let handledTypes = null;
+		if (!namespaced) {
+			handledTypes = {};
+			Object.keys(actionHandlers).forEach(actionType => {
+				handledTypes[actionType] = true;
+			});
+		}
+		ActionizeBuild.setHandledTypes(reducerFunc, handledTypes);
+		defineHidden(reducerFunc, '_order', type => {
+			const handlers = handlersFor(type);
+			return handlers && handlers.length ? handlers[0].order : null;
+		});
+
 		return reducerFunc;
 	}
 
+	/**
+	 * Call an action handler, running the hooks of the `plugins` option around it. Errors thrown by the handler are
+	 * given to the `errorPolicy` option. With the `strict` option, the action and state are checked.
+	 *
+	 * @param {Function} handler The action handler.
+	 * @param {*}        context The `this` for the handler.
+	 * @param {Array}    args    The arguments for the handler, starting with the state and ending with the action.
+	 * @param {string}   key     The action key the handler was given for.
+	 *
+	 * @returns {*} The new state.
+	 */
+	_callHandler(handler, context, args, key) {
+		const plugins = this._options.plugins || [];
+		const state = args[0];
+		const action = args[args.length - 1];
+		const meta = plugins.length ? { name: this._name, key } : null;
+		const { strict, Immutable } = this._options;
+		let snapshot;
+		if (strict) {
+			if (action) {
+				ActionizeStrict.checkAction(action, this._name, key, Immutable);
+			}
+			snapshot = ActionizeStrict.snapshot(state);
+		}
+		plugins.forEach(plugin => plugin.beforeHandle && plugin.beforeHandle(state, action, meta));
+		let newState;
+		try {
+			newState = handler.apply(context, args);
+		} catch (err) {
+			plugins.forEach(plugin => plugin.onError && plugin.onError(err, action, meta));
+			return this._handleError(err, state, action, this._name);
+		}
+		if (newState instanceof Stopped) {
+			newState = newState.state;
+			if (handlingDepth) {
+				stoppedAction = action;
+			}
+		}
+		if (strict) {
+			ActionizeStrict.checkState(state, snapshot, newState, this._name, key, Immutable);
+		}
+		plugins.forEach(plugin => plugin.afterHandle && plugin.afterHandle(state, newState, action, meta));
+		return newState;
+	}
+
+	/**
+	 * Call a reducer that was not created by this instance, such as one being combined. Errors it throws are given to
+	 * the `errorPolicy` option.
+	 *
+	 * @param {Function} reducer The reducer.
+	 * @param {*}        state   The current state.
+	 * @param {Object}   action  The action.
+	 * @param {string}   name    The name to report errors with.
+	 *
+	 * @returns {*} The new state.
+	 */
+	_callReducer(reducer, state, action, name) {
+		const errorPolicy = this._options.errorPolicy;
+		if (!errorPolicy || errorPolicy === 'throw') {
+			return reducer(state, action);
+		}
+		try {
+			return reducer(state, action);
+		} catch (err) {
+			return this._handleError(err, state, action, name);
+		}
+	}
+
+	/**
+	 * Handle an error thrown by an action handler or reducer with the `errorPolicy` option:
+	 * - `throw`: Throw the error. This is the default.
+	 * - `skip`: Keep the previous state.
+	 * - `report`: Keep the previous state and call the `onHandlerError` option.
+	 *
+	 * @param {*}      err    The error.
+	 * @param {*}      state  The previous state.
+	 * @param {Object} action The action.
+	 * @param {string} name   The name of the reducer that threw the error.
+	 *
+	 * @returns {*} The previous state.
+	 */
+	_handleError(err, state, action, name) {
+		const { errorPolicy, onHandlerError } = this._options;
+		if (!errorPolicy || errorPolicy === 'throw') {
+			throw err;
+		}
+		if (errorPolicy === 'report' && onHandlerError) {
+			onHandlerError(err, action && action.type, name);
+		}
+		return state;
+	}
+
+	/**
+	 * Attach a payload schema to an action handler. The payload is checked when the action is dispatched through
+	 * Actionize.dispatcher and when the reducer handles it.
+	 *
+	 * @param {*}        schema  The payload schema. See ActionizeSchema.validate for the built-in format,
+	 * or use the `validator` option for a custom one.
+	 * @param {Function} handler The action handler.
+	 * For example:
+	 * <pre><code>
+	 * build.reducer([], {
+	 *   add: build.validate({ text: 'string', 'tags?': [ 'string' ] }, (state, { text, tags }) => ...)
+	 * });
+	 * </code></pre>
+	 *
+	 * @returns {Function} The action handler with the schema attached.
+	 */
+	validate(schema, handler) {
+		return this._decorate(handler, { schema }, 'validate(schema, handler)');
+	}
+
+	/**
+	 * Attach an error handler to an action handler. In FSA mode, actions with `error` set to true are given to the
+	 * error handler instead. Without an error handler, the action handler receives them.
+	 *
+	 * @param {Function} handler      The action handler.
+	 * @param {Function} errorHandler The error handler in the format `function(state, error, action)`.
+	 * For example:
+	 * <pre><code>
+	 * build.reducer({}, {
+	 *   save: build.withError(
+	 *     (state, item) => ({ ...state, item, error: null }),
+	 *     (state, error) => ({ ...state, error: error.message })
+	 *   )
+	 * });
+	 * </code></pre>
+	 *
+	 * @returns {Function} The action handler with the error handler attached.
+	 */
+	withError(handler, errorHandler) {
+		if (typeof errorHandler !== 'function') {
+			throw new Error('Error handler given to withError(handler, errorHandler) must be a function.');
+		}
+		return this._decorate(handler, { errorHandler }, 'withError(handler, errorHandler)');
+	}
+
+	/**
+	 * Give an action handler a priority. Handlers for the same action type run by priority, highest first, within
+	 * their phase (see before() and after()). Handlers without a priority have the priority 0, and ties run in the
+	 * order they were given.
+	 *
+	 * Combined and nested reducers are called in the order of the first handler they run for the action type.
+	 *
+	 * @param {number}   priority The priority.
+	 * @param {Function} handler  The action handler.
+	 * For example:
+	 * <pre><code>
+	 * build.reducer([], {
+	 *   [build.handle(session.logout)]: build.priority(10, () => []),
+	 *   ...
+	 * });
+	 * </code></pre>
+	 *
+	 * @returns {Function} The action handler with the priority attached.
+	 */
+	priority(priority, handler) {
+		if (typeof priority !== 'number' || priority !== priority) {
+			throw new Error('Priority given to priority(priority, handler) must be a number.');
+		}
+		return this._decorate(handler, { priority }, 'priority(priority, handler)');
+	}
+
+	/**
+	 * Run an action handler before the other handlers for its action type, including the reducer's own handler for
+	 * it. See priority().
+	 *
+	 * @param {Function} handler The action handler.
+	 *
+	 * @returns {Function} The action handler.
+	 */
+	before(handler) {
+		return this._decorate(handler, { phase: 'before' }, 'before(handler)');
+	}
+
+	/**
+	 * Run an action handler after the other handlers for its action type, including the reducer's own handler for
+	 * it. See priority().
+	 *
+	 * @param {Function} handler The action handler.
+	 *
+	 * @returns {Function} The action handler.
+	 */
+	after(handler) {
+		return this._decorate(handler, { phase: 'after' }, 'after(handler)');
+	}
+
+	/**
+	 * Return a new state from an action handler, and stop the handlers that would run after it for the action. This
+	 * includes the handlers of the reducers it is combined or nested with.
+	 *
+	 * @param {*} state The new state.
+	 * For example:
+	 * <pre><code>
+	 * build.reducer(null, {
+	 *   [build.handle(session.logout)]: build.before(state => state.locked ? build.stop(state) : state),
+	 *   ...
+	 * });
+	 * </code></pre>
+	 *
+	 * @returns {Object} The new state, marked to stop the action. Only return it from action handlers.
+	 */
+	stop(state) {
+		return new Stopped(state);
+	}
+
+	/**
+	 * Wrap an action handler and attach properties to it. Properties attached to the given handler are kept.
+	 *
+	 * @param {Function} handler The action handler.
+	 * @param {Object}   props   The properties to attach.
+	 * @param {string}   caller  The calling method, used in error messages.
+	 *
+	 * @returns {Function} The wrapped action handler.
+	 */
+	_decorate(handler, props, caller) {
+		if (typeof handler !== 'function') {
+			throw new Error('Handler given to ' + caller + ' must be a function.');
+		}
+		const decorated = function (...args) {
+			return handler.apply(this, args);
+		};
+		return Object.assign(decorated, handler, props);
+	}
+
+	/**
+	 * Create an asynchronous effect. Effects are placed in the actions map given to reducer() and are exposed
+	 * by Actionize.dispatcher as functions returning a promise.
+	 *
+	 * @param {string}   key    The key for the effect (cannot include "|", ":", ".", or "#").
+	 * @param {Function} runner The effect function in the format `function(payload, { dispatch, getState })`.
+	 * It may return a promise.
+	 * For example:
+	 * <pre><code>
+	 * const loadTodos = build.effect('loadTodos', (payload, { dispatch }) => api.fetchTodos(payload.userId));
+	 *
+	 * build.reducer([], {
+	 *   loadTodos,
+	 *   [build.handle(loadTodos.fulfilled)](state, { result }) {
+	 *     return result;
+	 *   }
+	 * });
+	 * </code></pre>
+	 *
+	 * @returns {Function} The effect. Has `pending`, `fulfilled` and `rejected` lifecycle actions.
+	 */
+	effect(key, runner) {
+		if (typeof runner !== 'function') {
+			throw new Error('Effect given for "' + key + '" must be a function.');
+		}
+
+		const fsa = this._options.fsa;
+		// Outside of FSA mode, the result and error are added to the payload the same way it is set in the pending action.
+		const withPayload = (payload, values) => {
+			if (Actionize.isSpreadPayload(payload)) {
+				return { ...payload, ...values };
+			}
+			return payload === undefined ? values : { payload, ...values };
+		};
+		const effectFunc = (payload, api) => {
+			const { dispatch } = api;
+			dispatch(effectFunc.pending(payload));
+			return Promise.resolve()
+				.then(() => runner(payload, api))
+				.then(result => {
+					dispatch(fsa
+						? effectFunc.fulfilled(result, { payload })
+						: effectFunc.fulfilled(withPayload(payload, { result })));
+					return result;
+				}, error => {
+					dispatch(fsa
+						? effectFunc.rejected(error, { payload })
+						: effectFunc.rejected(withPayload(payload, { error })));
+					throw error;
+				});
+		};
+
+		EFFECT_STAGES.forEach(stage => {
+			const type = Actionize.buildActionType(this._name, key + '/' + stage);
+			const creator = (payload, meta) => Actionize.buildAction(type, payload, meta, fsa);
+			creator.type = type;
+			effectFunc[stage] = creator;
+		});
+		effectFunc.effect = runner;
+
+		return effectFunc;
+	}
+
 	/**
 	 * Helper for generating a action type handler string from various inputs.
 	 *
@@ -95,12 +674,22 @@ export default class ActionizeBuild
 	 * }
 	 * </code></pre>
 	 *
+	 * Can contain a scope or a namespace action type, to handle all actions of reducers named with the namespace
+	 * and the names under it, for example:
+	 * <pre><code>
+	 * build.reducer({}, {
+	 *   [build.handle(actionize.scope('todos'), '|session.*')] { ... }
+	 * }
+	 * </code></pre>
+	 *
 	 * @return {string} The combined action type string.
 	 */
 	handle(...items) {
 		const actions = items.map(item => {
 			if (typeof item === 'string') {
 				return item;
+			} else if (item && typeof item === 'object' && typeof item.namespace === 'function') {
+				return '|' + item.namespace() + '.*';
 			} else if (typeof item === 'function') {
 				const type = item.type;
 				if (typeof type === 'string') {
@@ -118,6 +707,605 @@ export default class ActionizeBuild
 		return actions.filter(action => !!action).join('');
 	}
 
+	/**
+	 * Attach memoized selectors to a reducer as `reducer.selectors`.
+	 *
+	 * Selectors are given the reducer's own state. Once the reducer is combined or nested into another reducer,
+	 * its selectors take the state of the outermost reducer instead, and pick the reducer's state from it.
+	 *
+	 * @param {Function}                  reducer   The reducer.
+	 * @param {Object.<string, Function>} selectors A map of selector names to functions in the format
+	 * `function(state, ...args)`.
+	 * For example:
+	 * <pre><code>
+	 * build.selectors(build.reducer([], { ... }), {
+	 *   visible: (state, filter) => state.filter(todo => filter === 'all' || todo.done === (filter === 'done'))
+	 * });
+	 *
+	 * // Later, with the root state:
+	 * rootReducer.todos.list.selectors.visible(rootState, 'done');
+	 * </code></pre>
+	 *
+	 * @returns {Function} The reducer.
+	 */
+	selectors(reducer, selectors) {
+		const bound = reducer.selectors || {};
+		Object.keys(selectors).forEach(key => {
+			const selector = selectors[key];
+			if (typeof selector !== 'function') {
+				throw new Error('Selector given for "' + key + '" must be a function.');
+			}
+			let lastState;
+			let lastArgs = null;
+			let lastResult;
+			bound[key] = (state, ...args) => {
+				const subState = ActionizeBuild.selectState(reducer, state);
+				const changed = !lastArgs
+					|| subState !== lastState
+					|| args.length !== lastArgs.length
+					|| args.some((arg, index) => arg !== lastArgs[index]);
+				if (changed) {
+					lastResult = selector(subState, ...args);
+					lastState = subState;
+					lastArgs = args;
+				}
+				return lastResult;
+			};
+		});
+		reducer.selectors = bound;
+		return reducer;
+	}
+
+	/**
+	 * Wrap a reducer to keep a history of its state that can be undone and redone.
+	 * The state becomes `{ past, present, future }`, where `present` is the wrapped reducer's state.
+	 *
+	 * Adds `undo`, `redo`, `jump` and `clearHistory` actions. `jump` takes the number of steps to move through the
+	 * history, negative to undo and positive to redo.
+	 *
+	 * @param {Function} reducer The reducer to wrap.
+	 * @param {Object}   options Options for the history:
+	 * - `limit`: The maximum number of past states to keep.
+	 * - `filter`: Only record the state changes made by these actions. Takes the same items as handle().
+	 * For example:
+	 * <pre><code>
+	 * build.undoable(editor, { limit: 50, filter: [ editor.insert, editor.remove ] });
+	 * </code></pre>
+	 *
+	 * @returns {Function} The reducer with history.
+	 */
+	undoable(reducer, options) {
+		options = options || {};
+		const limit = options.limit;
+		const filter = options.filter;
+		const fsa = this._options.fsa;
+
+		let recorded = null;
+		const recordedNamespaces = [];
+		if (filter) {
+			recorded = {};
+			splitActionTypes(this.handle(...[].concat(filter))).forEach(type => {
+				const namespace = namespaceOf(type);
+				if (namespace) {
+					recordedNamespaces.push(namespace);
+				} else {
+					recorded[type] = true;
+				}
+			});
+		}
+
+		const move = (state, steps) => {
+			const { past, present, future } = state;
+			if (steps < 0 && -steps <= past.length) {
+				const index = past.length + steps;
+				return {
+					past: past.slice(0, index),
+					present: past[index],
+					future: [ ...past.slice(index + 1), present, ...future ]
+				};
+			}
+			if (steps > 0 && steps <= future.length) {
+				return {
+					past: [ ...past, present, ...future.slice(0, steps - 1) ],
+					present: future[steps - 1],
+					future: future.slice(steps)
+				};
+			}
+			return state;
+		};
+
+		const history = this.reducer(undefined, {
+			undo: state => move(state, -1),
+			redo: state => move(state, 1),
+			jump: (state, action) => move(state, fsa ? action : action.payload),
+			clearHistory: state => state.past.length || state.future.length
+				? { past: [], present: state.present, future: [] }
+				: state
+		});
+
+		const update = (state, action) => {
+			const historyState = history(state, action);
+			if (historyState !== state || isStopped(action)) {
+				return historyState;
+			}
+			const present = reducer(state.present, action);
+			if (present === state.present) {
+				return state;
+			}
+			const type = action && action.type;
+			if (recorded && !recorded[type] && !(typeof type === 'string' && inNamespaces(type, recordedNamespaces))) {
+				return { ...state, present };
+			}
+			let past = [ ...state.past, state.present ];
+			if (limit && past.length > limit) {
+				past = past.slice(past.length - limit);
+			}
+			return { past, present, future: [] };
+		};
+
+		const reducerFunc = (state, action) => {
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
+			if (state === undefined) {
+				return { past: [], present: reducer(undefined, action), future: [] };
+			}
+			return handleScope(() => update(state, action));
+		};
+
+		Object.keys(reducer).forEach(key => {
+			const item = reducer[key];
+			if (typeof item === 'function') {
+				reducerFunc[key] = item;
+			}
+		});
+		Object.keys(history).forEach(key => {
+			if (reducerFunc[key]) {
+				throw new Error('Reducer given to undoable(reducer, options) already has "' + key + '".');
+			}
+			reducerFunc[key] = history[key];
+		});
+		if (reducer.selectors) {
+			reducerFunc.selectors = reducer.selectors;
+		}
+		ActionizeBuild.mount(reducer, reducerFunc, state => state && state.present);
+		defineHidden(reducerFunc, '_order', type => orderOf(reducer, type));
+		const reducerTypes = ActionizeBuild.handledTypes(reducer);
+		const historyTypes = ActionizeBuild.handledTypes(history);
+		ActionizeBuild.setHandledTypes(reducerFunc, reducerTypes && { ...reducerTypes, ...historyTypes });
+		return reducerFunc;
+	}
+
+	/**
+	 * Create a reducer for a normalized collection of entities, with the state `{ byId, allIds }`.
+	 *
+	 * Adds the actions:
+	 * - `addOne({ entity })` and `addMany({ entities })`: Add entities that don't exist yet.
+	 * - `upsertMany({ entities })`: Add entities, or merge them into the existing ones.
+	 * - `updateOne({ id, changes })`: Merge changes into an existing entity.
+	 * - `removeOne({ id })` and `removeAll()`: Remove entities.
+	 * - `setAll({ entities })`: Replace all entities.
+	 *
+	 * Adds the selectors `all`, `ids`, `byId`, `total` and `get(state, id)`.
+	 *
+	 * @param {Object} options Options for the collection:
+	 * - `idKey`: The key of the id on each entity. Defaults to "id".
+	 * - `sortComparer`: Keeps `allIds` sorted by comparing entities, in the format `function(a, b)`.
+	 * - `immutable`: Use Immutable structures. Requires the `Immutable` option.
+	 *
+	 * @returns {Function} The reducer.
+	 */
+	entities(options) {
+		options = options || {};
+		let Immutable = null;
+		if (options.immutable) {
+			Immutable = this._options.Immutable;
+			if (!Immutable) {
+				throw new Error('entities({ immutable: true }) requires the Immutable option.');
+			}
+		}
+		const collection = new ActionizeEntities({ ...options, Immutable });
+		const add = (state, entities) => {
+			const added = {};
+			const changes = entities.filter(entity => {
+				const id = collection.idOf(entity);
+				if (added[id] || collection.get(state, id) !== undefined) {
+					return false;
+				}
+				added[id] = true;
+				return true;
+			}).map(entity => [ collection.idOf(entity), entity ]);
+			return collection.commit(state, changes);
+		};
+
+		const reducerFunc = this.reducer(collection.initial(), {
+			addOne: (state, { entity }) => add(state, [ entity ]),
+			addMany: (state, { entities }) => add(state, entities),
+			upsertMany: (state, { entities }) => collection.commit(state, entities.map(entity => {
+				const id = collection.idOf(entity);
+				const existing = collection.get(state, id);
+				return [ id, existing === undefined ? entity : collection.merge(existing, entity) ];
+			})),
+			updateOne: (state, { id, changes }) => {
+				const existing = collection.get(state, id);
+				if (existing === undefined) {
+					return state;
+				}
+				return collection.commit(state, [ [ id, collection.merge(existing, changes) ] ]);
+			},
+			removeOne: (state, { id }) => collection.get(state, id) === undefined
+				? state
+				: collection.commit(state, [ [ id, undefined ] ]),
+			removeAll: state => collection.total(state) ? collection.commit(state, [], true) : state,
+			setAll: (state, { entities }) => collection.commit(state, entities.map(entity => [
+				collection.idOf(entity),
+				entity
+			]), true)
+		});
+
+		return this.selectors(reducerFunc, {
+			all: state => collection.all(state),
+			ids: state => collection.allIds(state),
+			byId: state => collection.byId(state),
+			total: state => collection.total(state),
+			get: (state, id) => collection.get(state, id)
+		});
+	}
+
+	/**
+	 * Create a reducer for a finite state machine, with the state `{ value, context }`, where `value` is the name of
+	 * the current state.
+	 *
+	 * Adds an action for each event key given in `on`. Actions that are not valid in the current state are ignored.
+	 * Transitions are given as the name of the target state, or as an object with:
+	 * - `target`: The name of the target state. Without it, the machine stays in the current state and the `exit` and
+	 * `entry` hooks are not called.
+	 * - `guard`: Only make the transition when it returns true, in the format `function(context, action)`.
+	 * - `update`: Update the context, in the format `function(context, action)`.
+	 *
+	 * States can have `entry` and `exit` hooks that update the context, in the same format. Hooks are given the
+	 * action, or its payload in FSA mode. The `entry` hook of the initial state isn't called.
+	 *
+	 * Adds the selector `matches(state, value)`.
+	 *
+	 * @param {Object} options Options for the machine:
+	 * - `initial`: The name of the initial state.
+	 * - `states`: The states by name, with the transitions for their events in `on`.
+	 * - `context`: The initial context.
+	 * - `warn`: Warn about actions that are not valid in the current state, outside of production. A function that is
+	 * given the warning.
+	 * For example:
+	 * <pre><code>
+	 * build.machine({
+	 *   initial: 'idle',
+	 *   context: { progress: 0 },
+	 *   states: {
+	 *     idle: { on: { start: 'loading' } },
+	 *     loading: {
+	 *       entry: context => ({ progress: 0 }),
+	 *       on: { progress: { update: (context, { progress }) => ({ progress }) }, done: 'idle' }
+	 *     }
+	 *   }
+	 * });
+	 * </code></pre>
+	 *
+	 * @returns {Function} The reducer.
+	 */
+	machine(options) {
+		options = options || {};
+		const { initial, states, context } = options;
+		if (!states || typeof states !== 'object' || !states.hasOwnProperty(initial)) {
+			throw new Error('Initial state given to machine(options) must be one of its states.');
+		}
+
+		if (options.warn !== undefined && typeof options.warn !== 'function') {
+			throw new Error('Warn option given to machine(options) must be a function.');
+		}
+		const warn = process.env.NODE_ENV === 'production' ? null : options.warn;
+
+		// Normalize the transitions of every state by event key.
+		const transitions = {};
+		Object.keys(states).forEach(value => {
+			const on = states[value].on || {};
+			Object.keys(on).forEach(key => {
+				let transition = on[key];
+				if (typeof transition === 'string') {
+					transition = { target: transition };
+				}
+				if (!transition || typeof transition !== 'object') {
+					throw new Error(
+						'Transition given for "' + key + '" in state "' + value + '" must be a string or an object.'
+					);
+				}
+				if (transition.target !== undefined && !states.hasOwnProperty(transition.target)) {
+					throw new Error(
+						'Target "' + transition.target + '" of "' + key + '" in state "' + value + '" is not a state.'
+					);
+				}
+				const byState = transitions[key] || (transitions[key] = {});
+				byState[value] = transition;
+			});
+		});
+
+		const hook = (name, value, machineContext, payload) => {
+			const callback = states[value][name];
+			return callback ? callback(machineContext, payload) : machineContext;
+		};
+
+		const transitionTo = (key, state, payload) => {
+			const transition = transitions[key][state.value];
+			if (!transition) {
+				if (warn) {
+					warn(
+						'Action "' + key + '" of machine "' + this._name + '" is not valid in state "' + state.value + '".'
+					);
+				}
+				return state;
+			}
+			if (transition.guard && !transition.guard(state.context, payload)) {
+				return state;
+			}
+			let machineContext = state.context;
+			if (transition.target !== undefined) {
+				machineContext = hook('exit', state.value, machineContext, payload);
+			}
+			if (transition.update) {
+				machineContext = transition.update(machineContext, payload);
+			}
+			if (transition.target === undefined) {
+				return machineContext === state.context ? state : { value: state.value, context: machineContext };
+			}
+			machineContext = hook('entry', transition.target, machineContext, payload);
+			return { value: transition.target, context: machineContext };
+		};
+
+		const handlers = {};
+		Object.keys(transitions).forEach(key => {
+			handlers[key] = (state, payload) => transitionTo(key, state, payload);
+		});
+
+		return this.selectors(this.reducer({ value: initial, context }, handlers), {
+			matches: (state, value) => state.value === value
+		});
+	}
+
+	/**
+	 * Create a reducer for a dynamic collection of instances of a reducer, keyed by runtime keys. The state is a
+	 * plain JS object of instance states by key. Instances are created from the reducer's initial state by the first
+	 * action for their key that the reducer handles.
+	 *
+	 * The key of an action is its `meta.key`, which dispatchers set for `dispatcher.forms(key)`, or else the result of
+	 * `keyFrom`. Actions without a key are given to every existing instance.
+	 *
+	 * Adds a `removeInstance` action to remove the instance for the action's key.
+	 *
+	 * @param {Function} reducer The reducer to create instances of.
+	 * @param {Object}   options Options for the collection:
+	 * - `keyFrom`: Get the key from an action, in the format `function(action)`.
+	 * For example:
+	 * <pre><code>
+	 * const forms = build.keyed(form, { keyFrom: action => action.id });
+	 * actionize.dispatcher({ forms }, dispatch).forms('tab-3').setField({ name: 'title', value: 'foo' });
+	 * </code></pre>
+	 *
+	 * @returns {Function} The reducer.
+	 */
+	keyed(reducer, options) {
+		options = options || {};
+		const keyFrom = options.keyFrom || (() => undefined);
+		const fsa = this._options.fsa;
+		const keyOf = action => {
+			const key = action.meta && action.meta.key;
+			return key === undefined || key === null ? keyFrom(action) : key;
+		};
+		const has = (state, key) => Object.prototype.hasOwnProperty.call(state, key);
+
+		const instances = this.reducer(undefined, {
+			removeInstance: (state, payload, action) => {
+				const key = keyOf(fsa ? action : payload);
+				if (key === undefined || key === null || !has(state, key)) {
+					return state;
+				}
+				const newState = { ...state };
+				delete newState[key];
+				return newState;
+			}
+		});
+
+		const reducerTypes = ActionizeBuild.handledTypes(reducer);
+		const instancesTypes = ActionizeBuild.handledTypes(instances);
+
+		const reducerFunc = (state = {}, action) => {
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
+			if (action && instancesTypes[action.type]) {
+				return instances(state, action);
+			}
+			const key = action && keyOf(action);
+			if (key === undefined || key === null) {
+				let changed = false;
+				const newState = {};
+				Object.keys(state).forEach(instanceKey => {
+					const value = newState[instanceKey] = isolatedScope(() => reducer(state[instanceKey], action));
+					changed = changed || value !== state[instanceKey];
+				});
+				return changed ? newState : state;
+			}
+			const exists = has(state, key);
+			if (!exists && reducerTypes && !reducerTypes[action.type]) {
+				return state;
+			}
+			const value = reducer(exists ? state[key] : undefined, action);
+			if (exists && value === state[key]) {
+				return state;
+			}
+			return { ...state, [key]: value };
+		};
+
+		Object.keys(reducer).forEach(key => {
+			const item = reducer[key];
+			if (typeof item === 'function' && key !== 'selectors') {
+				reducerFunc[key] = item;
+			}
+		});
+		Object.keys(instances).forEach(key => {
+			if (reducerFunc[key]) {
+				throw new Error('Reducer given to keyed(reducer, options) already has "' + key + '".');
+			}
+			reducerFunc[key] = instances[key];
+		});
+		defineHidden(reducerFunc, '_keyed', true);
+		defineHidden(reducerFunc, '_order', type => orderOf(reducer, type));
+		ActionizeBuild.setHandledTypes(reducerFunc, reducerTypes && { ...reducerTypes, ...instancesTypes });
+		return reducerFunc;
+	}
+
+	/**
+	 * Wrap a reducer to persist its state to a storage, such as `localStorage`, and restore it with a `rehydrate`
+	 * effect. The Redux middleware from `reducer.persistence.middleware()` writes its state to the storage whenever it
+	 * changes, once it has been rehydrated in that store.
+	 *
+	 * @param {Function} reducer The reducer to wrap.
+	 * @param {Object}   options Options for the persistence:
+	 * - `storage`: The storage, with the `getItem(key)` and `setItem(key, value)` methods of `localStorage`.
+	 * `getItem` can return a promise. See ActionizeMemoryStorage for one that keeps items in memory.
+	 * - `key`: The storage key. Defaults to the name.
+	 * - `version`: The version of the state. Defaults to 0.
+	 * - `migrate`: Migrate state stored with an older version, in the format `function(state, version)`, or an object
+	 * of functions by the version they migrate to, which are called in order.
+	 * - `serialize`: Serialize the stored item, which has `version` and `state`. Defaults to JSON.stringify.
+	 * - `deserialize`: Deserialize the stored item. Defaults to JSON.parse.
+	 * - `onError`: Called with errors writing to the storage, such as a full quota, instead of throwing them from
+	 * dispatch. Required.
+	 * For example:
+	 * <pre><code>
+	 * const settings = build.persist(build.reducer({ theme: 'light' }, { ... }), {
+	 *   storage: localStorage,
+	 *   version: 2,
+	 *   migrate: { 2: state => ({ ...state, theme: state.dark ? 'dark' : 'light' }) },
+	 *   onError: error => reportError(error)
+	 * });
+	 * const store = createStore(reducer, applyMiddleware(settings.persistence.middleware()));
+	 * actionize.dispatcher(settings, store.dispatch).rehydrate();
+	 * </code></pre>
+	 *
+	 * @returns {Function} The reducer.
+	 */
+	persist(reducer, options) {
+		options = options || {};
+		const storage = options.storage;
+		if (!storage) {
+			throw new Error('persist(reducer, options) requires a storage.');
+		}
+		const onError = options.onError;
+		if (typeof onError !== 'function') {
+			throw new Error('persist(reducer, options) requires an onError function.');
+		}
+		const key = options.key || this._name;
+		const version = options.version || 0;
+		const migrate = options.migrate;
+		const serialize = options.serialize || JSON.stringify;
+		const deserialize = options.deserialize || JSON.parse;
+		const Immutable = this._options.Immutable;
+		const fsa = this._options.fsa;
+		const isImmutable = value => !!Immutable && Immutable.Iterable.isIterable(value);
+
+		const upgrade = (state, fromVersion) => {
+			if (typeof migrate === 'function') {
+				return migrate(state, fromVersion);
+			}
+			return Object.keys(migrate || {})
+				.map(Number)
+				.filter(toVersion => toVersion > fromVersion && toVersion <= version)
+				.sort((a, b) => a - b)
+				.reduce((migrated, toVersion) => migrate[toVersion](migrated), state);
+		};
+
+		const read = item => {
+			if (item === null || item === undefined) {
+				return undefined;
+			}
+			const stored = deserialize(item);
+			const storedVersion = stored.version || 0;
+			return storedVersion === version ? stored.state : upgrade(stored.state, storedVersion);
+		};
+
+		const write = state => {
+			try {
+				const plainState = isImmutable(state) ? state.toJS() : state;
+				Promise.resolve(storage.setItem(key, serialize({ version, state: plainState }))).then(null, onError);
+			} catch (err) {
+				onError(err);
+			}
+		};
+
+		const rehydrate = this.effect('rehydrate', () => Promise.resolve(storage.getItem(key)).then(read));
+		const rehydration = this.reducer(undefined, {
+			rehydrate,
+			[this.handle(rehydrate.fulfilled)]: (state, payload) => {
+				const restored = fsa ? payload : payload.result;
+				if (restored === undefined) {
+					return state;
+				}
+				return isImmutable(state) ? Immutable.fromJS(restored) : restored;
+			},
+			[this.handle(rehydrate.rejected)]: state => state
+		});
+		const rehydrationTypes = ActionizeBuild.handledTypes(rehydration);
+		const isRehydration = action => Actionize.isBatch(action)
+			? action.payload.some(isRehydration)
+			: !!action && rehydrationTypes[action.type] === true;
+
+		const reducerFunc = (state, action) => {
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
+			return handleScope(() => {
+				const newState = reducer(state, action);
+				return isStopped(action) ? newState : rehydration(newState, action);
+			});
+		};
+
+		const middleware = () => store => {
+			// Each store rehydrates on its own, so a new store doesn't overwrite the stored state with its initial one.
+			let rehydrated = false;
+			return next => action => {
+				const state = ActionizeBuild.selectState(reducerFunc, store.getState());
+				const result = next(action);
+				rehydrated = rehydrated || isRehydration(action);
+				const newState = ActionizeBuild.selectState(reducerFunc, store.getState());
+				if (rehydrated && newState !== state) {
+					write(newState);
+				}
+				return result;
+			};
+		};
+
+		Object.keys(reducer).forEach(itemKey => {
+			const item = reducer[itemKey];
+			if (typeof item === 'function') {
+				reducerFunc[itemKey] = item;
+			}
+		});
+		if (reducerFunc.rehydrate) {
+			throw new Error('Reducer given to persist(reducer, options) already has "rehydrate".');
+		}
+		reducerFunc.rehydrate = rehydrate;
+		if (reducerFunc.persistence) {
+			throw new Error('Reducer given to persist(reducer, options) already has "persistence".');
+		}
+		reducerFunc.persistence = { middleware };
+		if (reducer.selectors) {
+			reducerFunc.selectors = reducer.selectors;
+		}
+		ActionizeBuild.mount(reducer, reducerFunc, state => state);
+		defineHidden(reducerFunc, '_order', type => orderOf(reducer, type));
+		const reducerTypes = ActionizeBuild.handledTypes(reducer);
+		ActionizeBuild.setHandledTypes(reducerFunc, reducerTypes && { ...reducerTypes, ...rehydrationTypes });
+		return reducerFunc;
+	}
+
 	/**
 	 * Pick a value from the given state.
 	 *
@@ -135,7 +1323,8 @@ export default class ActionizeBuild
 	 */
 
 	/**
-	 * Combine reducers into a single one.
+	 * Combine reducers into a single one. Batch actions are unpacked, so the reducers get each action in order and the
+	 * state is joined once per action.
 	 *
 	 * @param {Object.<string, Function>} reducers The reducers to join.
 	 * @param {combinePick}               pick     Pick a value from the given state for the given key.
@@ -145,25 +1334,69 @@ export default class ActionizeBuild
 	 */
 	combine(reducers, pick, join) {
 		const reducerKeys = Object.keys(reducers);
-		const reducerFunc = (state, action) => {
-			let updated = false;
-			const values = {};
-			reducerKeys.forEach(key => {
-				const subState = pick(state, key);
-				const reducer = reducers[key];
-				const newState = reducer(subState, action);
-				if (subState !== newState) {
-					updated = true;
+		const indexTypes = this._options.indexTypes !== false;
+
+		// Index which reducers handle each Actionize action type so the rest can be skipped.
+		// Reducers that don't expose their handled types are always called.
+		const childTypes = {};
+		let handledTypes = {};
+		reducerKeys.forEach(key => {
+			const types = ActionizeBuild.handledTypes(reducers[key]);
+			childTypes[key] = types;
+			handledTypes = types && handledTypes && Object.assign(handledTypes, types);
+		});
+		// Reducers are called in the order of their handlers for Actionize action types. See priority().
+		const typeIndex = {};
+		const orderIndex = {};
+		const inOrder = (keys, type) => sortByOrder(keys, key => orderOf(reducers[key], type));
+		const keysFor = type => typeIndex[type] || (typeIndex[type] = inOrder(reducerKeys.filter(key => {
+			const types = childTypes[key];
+			return !types || types[type] === true;
+		}), type));
+		const allKeysFor = type => orderIndex[type] || (orderIndex[type] = inOrder(reducerKeys, type));
+
+		// Passing `all` as true calls every reducer, for when the state may be missing values (see nest).
+		const reducerFunc = (state, action, all) => {
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
+			const type = action && action.type;
+			const actionizeType = typeof type === 'string' && type[0] === '|';
+			// Other action types (such as Redux's init action) go to every reducer, so state is always initialized.
+			const indexed = indexTypes && !all && state !== undefined && actionizeType;
+			const keys = indexed ? keysFor(type) : actionizeType ? allKeysFor(type) : reducerKeys;
+			return handleScope(() => {
+				let updated = false;
+				const newStates = {};
+				keys.forEach(key => {
+					if (isStopped(action)) {
+						return;
+					}
+					const subState = pick(state, key);
+					const newState = this._callReducer(reducers[key], subState, action, this._name + '.' + key);
+					if (subState !== newState) {
+						updated = true;
+					}
+					newStates[key] = newState;
+				});
+				if (!updated) {
+					return state;
 				}
-				values[key] = newState;
+				const values = {};
+				reducerKeys.forEach(key => {
+					values[key] = newStates.hasOwnProperty(key) ? newStates[key] : pick(state, key);
+				});
+				return join(state, values);
 			});
-			if (updated) {
-				state = join(state, values);
-			}
-			return state;
 		};
 		reducerKeys.forEach(key => {
 			reducerFunc[key] = reducers[key];
+			ActionizeBuild.mount(reducers[key], reducerFunc, state => pick(state, key));
+		});
+		ActionizeBuild.setHandledTypes(reducerFunc, handledTypes);
+		defineHidden(reducerFunc, '_order', type => {
+			const orders = reducerKeys.map(key => reducers[key]._order && reducers[key]._order(type)).filter(order => !!order);
+			return orders.length ? sortByOrder(orders, order => order)[0] : null;
 		});
 		return reducerFunc;
 	}
@@ -222,18 +1455,43 @@ export default class ActionizeBuild
 	nest(parent, reducers, pick, join) {
 		const nestedReducer = this.combine(reducers, pick, join);
 		const reducerFunc = (state, action) => {
-			const parentState = parent(state, action);
-			return nestedReducer(parentState, action);
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
+			// The nested reducers run first when their handlers come first. See priority().
+			const type = action && action.type;
+			const nestedFirst = state !== undefined && typeof type === 'string'
+				&& compareOrder(orderOf(nestedReducer, type), orderOf(parent, type)) < 0;
+			return handleScope(() => {
+				if (nestedFirst) {
+					const nestedState = nestedReducer(state, action);
+					return isStopped(action) ? nestedState : this._callReducer(parent, nestedState, action, this._name);
+				}
+				const parentState = this._callReducer(parent, state, action, this._name);
+				return isStopped(action) ? parentState : nestedReducer(parentState, action, parentState !== state);
+			});
 		};
 		Object.keys(nestedReducer).forEach(key => {
 			reducerFunc[key] = nestedReducer[key];
 		});
 		Object.keys(parent).forEach(key => {
 			const action = parent[key];
-			if (typeof action === 'function' && action.type) {
+			if (typeof action === 'function' && (action.type || action.effect)) {
 				reducerFunc[key] = action;
 			}
 		});
+		if (parent.selectors) {
+			reducerFunc.selectors = parent.selectors;
+		}
+		ActionizeBuild.mount(parent, reducerFunc, state => state);
+		ActionizeBuild.mount(nestedReducer, reducerFunc, state => state);
+		const parentTypes = ActionizeBuild.handledTypes(parent);
+		const nestedTypes = ActionizeBuild.handledTypes(nestedReducer);
+		ActionizeBuild.setHandledTypes(reducerFunc, parentTypes && nestedTypes && { ...parentTypes, ...nestedTypes });
+		defineHidden(reducerFunc, '_order', type => {
+			const orders = [ parent, nestedReducer ].map(reducer => reducer._order && reducer._order(type));
+			return sortByOrder(orders.filter(order => !!order), order => order)[0] || null;
+		});
 		return reducerFunc;
 	}
 
@@ -271,4 +1529,247 @@ export default class ActionizeBuild
 			(state, values) => state && state.merge(values)
 		);
 	}
+
+	/**
+	 * Compose reducers that share the same state into one. Pass the state through the reducers in order.
+	 *
+	 * @param {...Function} reducers The reducers.
+	 * For example:
+	 * <pre><code>
+	 * build.sequence(todoList, todoStats); // todoStats is given the state returned by todoList.
+	 * </code></pre>
+	 *
+	 * @returns {Function} The composed reducer.
+	 */
+	sequence(...reducers) {
+		const reducerFunc = (state, action) => {
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
+			return handleScope(() => reducers.reduce(
+				(reducerState, reducer) => isStopped(action)
+					? reducerState
+					: this._callReducer(reducer, reducerState, action, this._name),
+				state
+			));
+		};
+		return this._compose(reducerFunc, reducers, 'sequence(...reducers)');
+	}
+
+	/**
+	 * Compose two reducers that share the same state into one. Pick the reducer that handles each action with the
+	 * current state, for example by the mode of a state machine.
+	 *
+	 * @param {Function} predicate The predicate in the format `function(state, action)`. The state is undefined when
+	 * the state is initialized.
+	 * @param {Function} reducerA  The reducer for when the predicate returns true.
+	 * @param {Function} reducerB  The reducer for when the predicate returns false.
+	 * For example:
+	 * <pre><code>
+	 * build.branch(state => state && state.editing, editor, viewer);
+	 * </code></pre>
+	 *
+	 * @returns {Function} The composed reducer.
+	 */
+	branch(predicate, reducerA, reducerB) {
+		if (typeof predicate !== 'function') {
+			throw new Error('Predicate given to branch(predicate, reducerA, reducerB) must be a function.');
+		}
+		const reducerFunc = (state, action) => {
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
+			const reducer = predicate(state, action) ? reducerA : reducerB;
+			return handleScope(() => this._callReducer(reducer, state, action, this._name));
+		};
+		return this._compose(reducerFunc, [ reducerA, reducerB ], 'branch(predicate, reducerA, reducerB)');
+	}
+
+	/**
+	 * Wrap a reducer to return to its initial state when any of the given actions are dispatched. The reducer is
+	 * given the action with its state undefined, so it can also handle it.
+	 *
+	 * @param {Function} reducer   The reducer.
+	 * @param {*|Array}  onActions The actions to reset on. Takes the same items as handle().
+	 * For example:
+	 * <pre><code>
+	 * build.reset(todos, [ session.logout ]);
+	 * </code></pre>
+	 *
+	 * @returns {Function} The reducer.
+	 */
+	reset(reducer, onActions) {
+		const resetTypes = {};
+		const namespaces = [];
+		splitActionTypes(this.handle(...[].concat(onActions))).forEach(type => {
+			const namespace = namespaceOf(type);
+			if (namespace) {
+				namespaces.push(namespace);
+			} else {
+				resetTypes[type] = true;
+			}
+		});
+		const reducerFunc = (state, action) => {
+			if (Actionize.isBatch(action)) {
+				return reduceBatch(reducerFunc, state, action);
+			}
+			const type = action && action.type;
+			const reset = typeof type === 'string' && (resetTypes[type] === true || inNamespaces(type, namespaces));
+			return handleScope(() => this._callReducer(reducer, reset ? undefined : state, action, this._name));
+		};
+		this._compose(reducerFunc, [ reducer ], 'reset(reducer, onActions)');
+		// The action types handled for namespaces aren't known.
+		const reducerTypes = namespaces.length ? null : ActionizeBuild.handledTypes(reducer);
+		ActionizeBuild.setHandledTypes(reducerFunc, reducerTypes && { ...reducerTypes, ...resetTypes });
+		return reducerFunc;
+	}
+
+	/**
+	 * Copy the actions, effects and combined or nested reducers of composed reducers to the reducer composing them,
+	 * the same way nest() does, with their selectors and handled action types.
+	 *
+	 * @param {Function}   reducerFunc The reducer composing them.
+	 * @param {Function[]} reducers    The composed reducers, which share its state.
+	 * @param {string}     signature   The signature of the operator, for error messages.
+	 *
+	 * @returns {Function} The reducer composing them.
+	 */
+	_compose(reducerFunc, reducers, signature) {
+		const copied = {};
+		let selectors = null;
+		let handledTypes = {};
+		reducers.forEach(reducer => {
+			if (typeof reducer !== 'function') {
+				throw new Error('Reducers given to ' + signature + ' must be functions.');
+			}
+			Object.keys(reducer).forEach(key => {
+				const item = reducer[key];
+				const child = item && item._mounts && item._mounts.some(mount => mount.parent === reducer);
+				if (typeof item !== 'function' || !item.type && !item.effect && !child) {
+					return;
+				}
+				if (copied[key] && copied[key] !== item) {
+					throw new Error('Reducers given to ' + signature + ' both have "' + key + '".');
+				}
+				copied[key] = item;
+				reducerFunc[key] = item;
+			});
+			if (reducer.selectors) {
+				selectors = { ...selectors, ...reducer.selectors };
+			}
+			ActionizeBuild.mount(reducer, reducerFunc, state => state);
+			const types = ActionizeBuild.handledTypes(reducer);
+			handledTypes = types && handledTypes && { ...handledTypes, ...types };
+		});
+		if (selectors) {
+			reducerFunc.selectors = selectors;
+		}
+		ActionizeBuild.setHandledTypes(reducerFunc, handledTypes);
+		defineHidden(reducerFunc, '_order', type => firstOrderOf(reducers, type));
+		return reducerFunc;
+	}
+
+	/**
+	 * Get the state of a reducer from the state of the outermost reducer it is combined or nested into.
+	 *
+	 * @param {Function} reducer The reducer.
+	 * @param {*}        state   The state of the outermost reducer.
+	 *
+	 * @returns {*} The reducer's state.
+	 */
+	static selectState(reducer, state) {
+		const picks = [];
+		let item = reducer;
+		while (item._mounts && item._mounts.length) {
+			if (item._mounts.length > 1) {
+				throw new Error('Reducer is combined or nested into more than one reducer, so its selectors can\'t pick '
+					+ 'its state. Use ActionizeBuild.unmounted() to run it in another tree.');
+			}
+			picks.unshift(item._mounts[0].pick);
+			item = item._mounts[0].parent;
+		}
+		return picks.reduce((subState, pick) => pick(subState), state);
+	}
+
+	/**
+	 * Check if a reducer was created by keyed(), so dispatchers and action creators take a key.
+	 *
+	 * @param {Function} reducer The reducer.
+	 *
+	 * @returns {boolean} Whether the reducer is keyed.
+	 */
+	static isKeyed(reducer) {
+		return reducer._keyed === true;
+	}
+
+	/**
+	 * Record where a reducer is combined or nested so its selectors can pick its state.
+	 *
+	 * @param {Function} reducer The reducer.
+	 * @param {Function} parent  The reducer it is combined or nested into.
+	 * @param {Function} pick    Pick the reducer's state from the parent state.
+	 * @private
+	 *
+	 * @returns {void}
+	 */
+	static mount(reducer, parent, pick) {
+		const mounts = (reducer._mounts || []).filter(mount => mount.parent !== parent);
+		defineHidden(reducer, '_mounts', [ ...mounts, { parent, pick } ]);
+	}
+
+	/**
+	 * Forget where a reducer is combined or nested into a tree, so it is no longer counted as mounted there.
+	 *
+	 * @param {Function} reducer The reducer.
+	 * @param {Function} root    The outermost reducer of the tree.
+	 * @private
+	 *
+	 * @returns {void}
+	 */
+	static unmount(reducer, root) {
+		if (reducer._mounts) {
+			defineHidden(reducer, '_mounts', reducer._mounts.filter(mount => !isWithin(mount.parent, root)));
+		}
+	}
+
+	/**
+	 * Wrap a reducer so it can be combined or nested without mounting it, for example to run reducers that are
+	 * already combined into an app in another tree. Its selectors keep picking from the app's state.
+	 *
+	 * @param {Function} reducer The reducer.
+	 *
+	 * @returns {Function} The wrapping reducer, which handles the same action types in the same order.
+	 */
+	static unmounted(reducer) {
+		const reducerFunc = (state, action) => reducer(state, action);
+		ActionizeBuild.setHandledTypes(reducerFunc, ActionizeBuild.handledTypes(reducer));
+		if (reducer._order) {
+			defineHidden(reducerFunc, '_order', reducer._order);
+		}
+		return reducerFunc;
+	}
+
+	/**
+	 * Get the action types a reducer handles.
+	 *
+	 * @param {Function} reducer The reducer.
+	 *
+	 * @returns {?Object.<string, boolean>} A map of the action types handled, or null if they are not known.
+	 */
+	static handledTypes(reducer) {
+		return reducer._handledTypes || null;
+	}
+
+	/**
+	 * Set the action types a reducer handles, used by combined reducers to skip reducers that won't handle an action.
+	 *
+	 * @param {Function}                 reducer The reducer.
+	 * @param {?Object.<string, boolean>} types   A map of the action types handled, or null if they are not known.
+	 * @private
+	 *
+	 * @returns {void}
+	 */
+	static setHandledTypes(reducer, types) {
+		defineHidden(reducer, '_handledTypes', types);
+	}
 }
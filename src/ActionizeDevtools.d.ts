@@ -0,0 +1,27 @@
+import Actionize, { Action } from './Actionize';
+
+/**
+ * Options for actionize.devtools.
+ */
+export interface ActionizeDevtoolsOptions {
+	extension?: any;
+	name?: string;
+	namespaces?: string[];
+}
+
+export default class ActionizeDevtools {
+	constructor(actionize: Actionize, options?: ActionizeDevtoolsOptions);
+
+	formatType(type: string): string;
+
+	resolveType(name: string): string | null;
+
+	isShown(action: Action): boolean;
+
+	sanitizeAction<A extends Action>(action: A): A;
+
+	middleware(): (store: { getState: () => any; dispatch: (action: any) => any }) =>
+		(next: (action: any) => any) => (action: any) => any;
+
+	static parseType(type: string): { namespace: string; key: string } | null;
+}
@@ -0,0 +1,159 @@
+/**
+ * Get the Redux DevTools extension from the browser, if it is installed.
+ *
+ * @returns {?Object} The extension.
+ */
+function globalExtension() {
+	return typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION__ || null;
+}
+
+export default class ActionizeDevtools
+{
+	/**
+	 * Create a new ActionizeDevtools instance. Use actionize.devtools(options) instead of calling this directly.
+	 *
+	 * @param {Actionize} actionize The Actionize instance that reducers are defined in.
+	 * @param {Object}    options   Options for the devtools:
+	 * - `extension`: The Redux DevTools extension. Defaults to `window.__REDUX_DEVTOOLS_EXTENSION__`.
+	 * - `name`: The instance name shown in the DevTools.
+	 * - `namespaces`: Only show the actions of these reducer names and the names under them.
+	 * Other actions that aren't Actionize actions are always shown.
+	 */
+	constructor(actionize, options) {
+		options = options || {};
+		this._actionize = actionize;
+		this._extension = options.extension || globalExtension();
+		this._name = options.name;
+		this._namespaces = options.namespaces || null;
+	}
+
+	/**
+	 * Format an action type to read in the DevTools, grouped by reducer name. For example, "|todos.list:add" is
+	 * formatted as "[todos.list] add". Other action types are not changed.
+	 *
+	 * @param {string} type The action type.
+	 *
+	 * @returns {string} The formatted action type.
+	 */
+	formatType(type) {
+		const parsed = ActionizeDevtools.parseType(type);
+		return parsed ? '[' + parsed.namespace + '] ' + parsed.key : type;
+	}
+
+	/**
+	 * Resolve a formatted or raw action type back to the action type of a defined action handler.
+	 *
+	 * @param {string} name The formatted or raw action type, for example "[todos.list] add".
+	 *
+	 * @returns {?string} The action type, or null if no action handler is defined for it.
+	 */
+	resolveType(name) {
+		let type = name;
+		const match = typeof name === 'string' && name.match(/^\[(.+?)\] (.+)$/);
+		if (match) {
+			type = '|' + match[1] + ':' + match[2];
+		}
+		return this._actionize.handler(type) ? type : null;
+	}
+
+	/**
+	 * Check if an action should be shown in the DevTools, with the `namespaces` option.
+	 *
+	 * @param {Object} action The action.
+	 *
+	 * @returns {boolean} Whether to show the action.
+	 */
+	isShown(action) {
+		const parsed = ActionizeDevtools.parseType(action && action.type);
+		if (!parsed || !this._namespaces) {
+			return true;
+		}
+		return this._namespaces.some(namespace => parsed.namespace === namespace
+			|| parsed.namespace.indexOf(namespace + '.') === 0);
+	}
+
+	/**
+	 * Get the action to show in the DevTools, with its action type formatted.
+	 *
+	 * @param {Object} action The action.
+	 *
+	 * @returns {Object} The action to show.
+	 */
+	sanitizeAction(action) {
+		return { ...action, type: this.formatType(action.type) };
+	}
+
+	/**
+	 * Create a Redux middleware that sends actions and states to the DevTools, and dispatches the actions given in
+	 * the DevTools dispatcher. Actions can be given by formatted or raw action type, for example
+	 * `{ "type": "[todos.list] add", "text": "foo" }` or just `[todos.list] add`.
+	 *
+	 * Does nothing if the extension is not installed.
+	 *
+	 * @returns {Function} The middleware.
+	 */
+	middleware() {
+		const extension = this._extension;
+		if (!extension) {
+			return () => next => action => next(action);
+		}
+		return store => {
+			const connection = extension.connect({ name: this._name });
+			connection.init(store.getState());
+			connection.subscribe(message => {
+				if (message.type === 'ACTION') {
+					this._dispatchMessage(message.payload, store, connection);
+				}
+			});
+			return next => action => {
+				const result = next(action);
+				if (this.isShown(action)) {
+					connection.send(this.sanitizeAction(action), store.getState());
+				}
+				return result;
+			};
+		};
+	}
+
+	/**
+	 * Dispatch an action given in the DevTools dispatcher. Errors are shown in the DevTools.
+	 *
+	 * @param {string|Object} payload    The action, as JSON, an action type, or an object.
+	 * @param {Object}        store      The Redux store.
+	 * @param {Object}        connection The DevTools connection.
+	 *
+	 * @returns {void}
+	 */
+	_dispatchMessage(payload, store, connection) {
+		let action = payload;
+		if (typeof payload === 'string') {
+			try {
+				action = JSON.parse(payload);
+			} catch (err) {
+				action = { type: payload.trim() };
+			}
+		}
+		const type = action && this.resolveType(action.type);
+		if (!type) {
+			connection.error('Action "' + (action && action.type) + '" is not defined.');
+			return;
+		}
+		try {
+			store.dispatch({ ...action, type });
+		} catch (err) {
+			connection.error(err.message);
+		}
+	}
+
+	/**
+	 * Split an Actionize action type into its namespace and key.
+	 *
+	 * @param {string} type The action type.
+	 *
+	 * @returns {?{namespace: string, key: string}} The namespace and key, or null if it isn't an Actionize type.
+	 */
+	static parseType(type) {
+		const match = typeof type === 'string' && type.match(/^\|([^:|]+):([^|]+)$/);
+		return match ? { namespace: match[1], key: match[2] } : null;
+	}
+}
@@ -0,0 +1,179 @@
+export default class ActionizeEntities
+{
+	/**
+	 * Create a new ActionizeEntities instance, which reads and writes normalized entity collections in the format
+	 * `{ byId, allIds }`. Used by ActionizeBuild.entities.
+	 *
+	 * @param {Object} options Options for the collection:
+	 * - `idKey`: The key of the id on each entity. Defaults to "id".
+	 * - `sortComparer`: Keeps `allIds` sorted by comparing entities, in the format `function(a, b)`.
+	 * - `Immutable`: The Immutable JS library, to use Immutable structures instead of plain JS.
+	 */
+	constructor(options) {
+		options = options || {};
+		this._idKey = options.idKey || 'id';
+		this._sortComparer = options.sortComparer || null;
+		this._Immutable = options.Immutable || null;
+	}
+
+	/**
+	 * Get an empty collection.
+	 *
+	 * @returns {Object} The collection.
+	 */
+	initial() {
+		const Immutable = this._Immutable;
+		if (Immutable) {
+			return Immutable.Map({ byId: Immutable.Map(), allIds: Immutable.List() });
+		}
+		return { byId: {}, allIds: [] };
+	}
+
+	/**
+	 * Get the id of an entity.
+	 *
+	 * @param {Object} entity The entity.
+	 *
+	 * @returns {*} The id.
+	 */
+	idOf(entity) {
+		const Immutable = this._Immutable;
+		if (Immutable && Immutable.Map.isMap(entity)) {
+			return entity.get(this._idKey);
+		}
+		return entity[this._idKey];
+	}
+
+	/**
+	 * Get the entities by id.
+	 *
+	 * @param {Object} state The collection.
+	 *
+	 * @returns {Object} The entities by id.
+	 */
+	byId(state) {
+		return this._Immutable ? state.get('byId') : state.byId;
+	}
+
+	/**
+	 * Get the ids of all entities, in order.
+	 *
+	 * @param {Object} state The collection.
+	 *
+	 * @returns {Array} The ids.
+	 */
+	allIds(state) {
+		return this._Immutable ? state.get('allIds') : state.allIds;
+	}
+
+	/**
+	 * Get the number of entities.
+	 *
+	 * @param {Object} state The collection.
+	 *
+	 * @returns {number} The number of entities.
+	 */
+	total(state) {
+		return this._Immutable ? state.get('allIds').size : state.allIds.length;
+	}
+
+	/**
+	 * Get all entities, in order.
+	 *
+	 * @param {Object} state The collection.
+	 *
+	 * @returns {Array} The entities.
+	 */
+	all(state) {
+		const byId = this.byId(state);
+		return this._Immutable
+			? this.allIds(state).map(id => byId.get(id))
+			: this.allIds(state).map(id => byId[id]);
+	}
+
+	/**
+	 * Get an entity by id.
+	 *
+	 * @param {Object} state The collection.
+	 * @param {*}      id    The id.
+	 *
+	 * @returns {?Object} The entity, if it exists.
+	 */
+	get(state, id) {
+		const byId = this.byId(state);
+		if (this._Immutable) {
+			return byId.get(id);
+		}
+		return Object.prototype.hasOwnProperty.call(byId, id) ? byId[id] : undefined;
+	}
+
+	/**
+	 * Merge changes into an entity.
+	 *
+	 * @param {Object} entity  The entity.
+	 * @param {Object} changes The changes.
+	 *
+	 * @returns {Object} The updated entity.
+	 */
+	merge(entity, changes) {
+		return this._Immutable ? entity.merge(changes) : { ...entity, ...changes };
+	}
+
+	/**
+	 * Write changes to a collection.
+	 *
+	 * @param {Object}  state   The collection.
+	 * @param {Array[]} changes The changes as `[ id, entity ]` pairs. Entities that are undefined are removed.
+	 * @param {boolean} reset   Remove all existing entities first.
+	 *
+	 * @returns {Object} The new collection.
+	 */
+	commit(state, changes, reset) {
+		if (!changes.length && !reset) {
+			return state;
+		}
+		const Immutable = this._Immutable;
+		const sortComparer = this._sortComparer;
+		if (Immutable) {
+			let allIds = reset ? Immutable.List() : this.allIds(state);
+			const byId = (reset ? Immutable.Map() : this.byId(state)).withMutations(byId => {
+				changes.forEach(([ id, entity ]) => {
+					if (entity === undefined) {
+						byId.delete(id);
+						allIds = allIds.filter(item => item !== id);
+					} else {
+						if (!byId.has(id)) {
+							allIds = allIds.push(id);
+						}
+						byId.set(id, Immutable.fromJS(entity));
+					}
+				});
+			});
+			if (sortComparer) {
+				allIds = allIds.sort((a, b) => sortComparer(byId.get(a), byId.get(b)));
+			}
+			return Immutable.Map({ byId, allIds });
+		}
+		const byId = reset ? {} : { ...state.byId };
+		let allIds = reset ? [] : state.allIds;
+		changes.forEach(([ id, entity ]) => {
+			const exists = Object.prototype.hasOwnProperty.call(byId, id);
+			if (entity === undefined) {
+				if (exists) {
+					// Plain object keys are strings, so ids are compared the same way.
+					delete byId[id];
+					allIds = allIds.filter(item => String(item) !== String(id));
+				}
+			} else {
+				if (!exists) {
+					allIds = [ ...allIds, id ];
+				}
+				byId[id] = entity;
+			}
+		});
+		if (sortComparer) {
+			allIds = [ ...allIds ].sort((a, b) => sortComparer(byId[a], byId[b]));
+		}
+		return { byId, allIds };
+	}
+}
@@ -0,0 +1,9 @@
+export default class ActionizeMemoryStorage {
+	constructor(items?: { [key: string]: string });
+
+	getItem(key: string): string | null;
+
+	setItem(key: string, value: string): void;
+
+	removeItem(key: string): void;
+}
@@ -0,0 +1,46 @@
+export default class ActionizeMemoryStorage
+{
+	/**
+	 * Create a new ActionizeMemoryStorage instance, a storage for ActionizeBuild.persist that keeps items in memory.
+	 * It has the same methods as `localStorage` and `sessionStorage`, for tests and environments without them.
+	 *
+	 * @param {Object.<string, string>} items The items to start with.
+	 */
+	constructor(items) {
+		this._items = { ...items };
+	}
+
+	/**
+	 * Get an item.
+	 *
+	 * @param {string} key The key of the item.
+	 *
+	 * @returns {?string} The item, or null if there is none.
+	 */
+	getItem(key) {
+		return this._items.hasOwnProperty(key) ? this._items[key] : null;
+	}
+
+	/**
+	 * Set an item.
+	 *
+	 * @param {string} key   The key of the item.
+	 * @param {string} value The item.
+	 *
+	 * @returns {void}
+	 */
+	setItem(key, value) {
+		this._items[key] = String(value);
+	}
+
+	/**
+	 * Remove an item.
+	 *
+	 * @param {string} key The key of the item.
+	 *
+	 * @returns {void}
+	 */
+	removeItem(key) {
+		delete this._items[key];
+	}
+}
@@ -0,0 +1,51 @@
+import Actionize, { Action, Reducer } from './Actionize';
+
+/**
+ * A recorded action. Batches are recorded with the entries of their actions in `batch`.
+ */
+export interface RecordedEntry {
+	name?: string;
+	key?: string;
+	type?: string;
+	payload?: any;
+	meta?: any;
+	error?: boolean;
+	errorKeys?: string[];
+	batch?: RecordedEntry[];
+	checksum?: string;
+}
+
+export interface RecordedLog {
+	state: any;
+	entries: RecordedEntry[];
+}
+
+export interface ReplayOptions<S = any> {
+	reducer?: Reducer<S>;
+	state?: S;
+}
+
+export interface ReplayDivergence<S = any> {
+	index: number;
+	entry: RecordedEntry;
+	expected: string;
+	actual: string;
+	state: S;
+}
+
+export default class ActionizeRecorder {
+	constructor(actionize: Actionize);
+
+	middleware(): (store: { getState: () => any; dispatch: (action: any) => any }) =>
+		(next: (action: any) => any) => (action: any) => any;
+
+	log(): RecordedLog;
+
+	entry(action: Action): RecordedEntry | null;
+
+	action(entry: RecordedEntry): Action;
+
+	replay<S = any>(log: RecordedLog, options?: ReplayOptions<S>): ReplayDivergence<S> | null;
+
+	static checksum(state: any): string;
+}
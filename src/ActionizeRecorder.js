@@ -0,0 +1,229 @@
+import Actionize from './Actionize';
+import ActionizeDevtools from './ActionizeDevtools';
+import ActionizeTesting from './ActionizeTesting';
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal states always give the same string.
+ *
+ * @param {*} value The value.
+ *
+ * @returns {string} The JSON.
+ */
+function stableStringify(value) {
+	if (value && typeof value.toJS === 'function') {
+		return stableStringify(value.toJS());
+	}
+	if (Array.isArray(value)) {
+		return '[' + value.map(item => item === undefined ? 'null' : stableStringify(item)).join(',') + ']';
+	}
+	if (value && typeof value === 'object' && !(value instanceof Error)) {
+		return '{' + Object.keys(value).sort()
+			.filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+			.map(key => JSON.stringify(key) + ':' + stableStringify(value[key]))
+			.join(',') + '}';
+	}
+	const json = JSON.stringify(value);
+	return json === undefined ? 'null' : json;
+}
+
+/**
+ * Serialize an error for the log.
+ *
+ * @param {Error} error The error.
+ *
+ * @returns {{name: string, message: string}} The serialized error.
+ */
+function serializeError(error) {
+	return { name: error.name, message: error.message };
+}
+
+/**
+ * Restore an error serialized for the log.
+ *
+ * @param {{name: string, message: string}} serialized The serialized error.
+ *
+ * @returns {Error} The error.
+ */
+function deserializeError(serialized) {
+	const error = new Error(serialized.message);
+	error.name = serialized.name;
+	return error;
+}
+
+export default class ActionizeRecorder
+{
+	/**
+	 * Create a new ActionizeRecorder instance. Use actionize.recorder() instead of calling this directly.
+	 *
+	 * @param {Actionize} actionize The Actionize instance that reducers are defined in.
+	 */
+	constructor(actionize) {
+		this._actionize = actionize;
+		this._state = undefined;
+		this._entries = [];
+	}
+
+	/**
+	 * Create a Redux middleware that records the Actionize actions dispatched to the store, with a checksum of the
+	 * state after each one. Other actions are not recorded.
+	 *
+	 * @returns {Function} The middleware.
+	 */
+	middleware() {
+		return store => {
+			this._state = this._plainState(store.getState());
+			this._entries = [];
+			return next => action => {
+				const result = next(action);
+				const entry = this.entry(action);
+				if (entry) {
+					this._entries.push({ ...entry, checksum: ActionizeRecorder.checksum(store.getState()) });
+				}
+				return result;
+			};
+		};
+	}
+
+	/**
+	 * Get the recorded log, which can be serialized with JSON.stringify for a bug report.
+	 *
+	 * @returns {{state: *, entries: Object[]}} The log, with the state when recording started and the entries.
+	 */
+	log() {
+		return { state: this._state, entries: this._entries.slice() };
+	}
+
+	/**
+	 * Create the log entry for an action.
+	 *
+	 * @param {Object} action The action.
+	 *
+	 * @returns {?Object} The entry, with the reducer `name`, the action `key`, `type`, `payload` and `meta`, or with
+	 * the entries of a `batch`. Null if it isn't an Actionize action. Errors are serialized: `error` is set when the
+	 * payload is an error, and `errorKeys` lists the keys of the payload that are.
+	 */
+	entry(action) {
+		if (Actionize.isBatch(action)) {
+			const batch = action.payload.map(batchAction => this.entry(batchAction)).filter(entry => !!entry);
+			return batch.length ? { batch } : null;
+		}
+		const parsed = ActionizeDevtools.parseType(action && action.type);
+		if (!parsed) {
+			return null;
+		}
+		const fsa = this._actionize._options.fsa;
+		const { type, meta } = action;
+		let payload = Actionize.payloadOf(action, fsa);
+		if (payload === action) {
+			// Actions are their own payload outside of FSA mode, such as the `{ ...payload, error }` of effects.
+			payload = {};
+			Object.keys(action).filter(key => key !== 'type' && key !== 'meta').forEach(key => {
+				payload[key] = action[key];
+			});
+		}
+		const entry = { name: parsed.namespace, key: parsed.key, type, payload };
+		if (payload instanceof Error) {
+			entry.payload = serializeError(payload);
+			entry.error = true;
+		} else if (!fsa && Actionize.isSpreadPayload(payload)) {
+			const errorKeys = Object.keys(payload).filter(key => payload[key] instanceof Error);
+			if (errorKeys.length) {
+				entry.payload = { ...payload };
+				errorKeys.forEach(key => {
+					entry.payload[key] = serializeError(payload[key]);
+				});
+				entry.errorKeys = errorKeys;
+			}
+		}
+		if (meta !== undefined) {
+			entry.meta = meta;
+		}
+		return entry;
+	}
+
+	/**
+	 * Create the action of a log entry.
+	 *
+	 * @param {Object} entry The entry.
+	 *
+	 * @returns {Object} The action.
+	 */
+	action(entry) {
+		const fsa = this._actionize._options.fsa;
+		if (entry.batch) {
+			return Actionize.batchAction(entry.batch.map(batchEntry => this.action(batchEntry)), fsa);
+		}
+		let payload = entry.payload;
+		if (entry.error) {
+			payload = deserializeError(payload);
+		} else if (entry.errorKeys) {
+			payload = { ...payload };
+			entry.errorKeys.forEach(key => {
+				payload[key] = deserializeError(payload[key]);
+			});
+		}
+		return Actionize.buildAction(entry.type, payload, entry.meta, fsa);
+	}
+
+	/**
+	 * Replay a log against the reducers defined in this recorder's Actionize instance, and find the first entry
+	 * where the state doesn't match the recorded checksum.
+	 *
+	 * @param {{state: *, entries: Object[]}} log     The log, from log().
+	 * @param {Object}                        options Options for the replay:
+	 * - `reducer`: The root reducer of the store. Defaults to every defined reducer combined by name. See
+	 * ActionizeTesting.
+	 * - `state`: The state to start from. Defaults to the state of the log.
+	 *
+	 * @returns {?Object} The divergence, with the `index` and `entry` of the log, the `expected` and `actual`
+	 * checksums, and the `state` after the entry. Null if the states match the whole log.
+	 */
+	replay(log, options) {
+		options = options || {};
+		const Immutable = this._actionize._options.Immutable;
+		let state = options.state;
+		if (state === undefined) {
+			state = Immutable && log.state && typeof log.state === 'object' ? Immutable.fromJS(log.state) : log.state;
+		}
+		const harness = new ActionizeTesting(this._actionize, { reducer: options.reducer, state });
+		const store = harness.store();
+		for (let index = 0; index < log.entries.length; index++) {
+			const entry = log.entries[index];
+			store.dispatch(this.action(entry));
+			const actual = ActionizeRecorder.checksum(store.getState());
+			if (actual !== entry.checksum) {
+				return { index, entry, expected: entry.checksum, actual, state: store.getState() };
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Get the state to record in the log, with Immutable structures as plain JS.
+	 *
+	 * @param {*} state The state.
+	 *
+	 * @returns {*} The state to record.
+	 */
+	_plainState(state) {
+		return state && typeof state.toJS === 'function' ? state.toJS() : state;
+	}
+
+	/**
+	 * Create a checksum of a state, a 32 bit FNV-1a hash of its JSON with object keys sorted. Immutable structures
+	 * have the same checksum as their plain JS.
+	 *
+	 * @param {*} state The state.
+	 *
+	 * @returns {string} The checksum, in hex.
+	 */
+	static checksum(state) {
+		const json = stableStringify(state);
+		let hash = 0x811c9dc5;
+		for (let index = 0; index < json.length; index++) {
+			hash ^= json.charCodeAt(index);
+			hash = Math.imul(hash, 0x01000193) >>> 0;
+		}
+		return ('0000000' + hash.toString(16)).slice(-8);
+	}
+}
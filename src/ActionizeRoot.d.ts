@@ -0,0 +1,24 @@
+import Actionize, { Reducer } from './Actionize';
+import ActionizeBuild, { ReducerMap } from './ActionizeBuild';
+
+/**
+ * Options for actionize.root.
+ */
+export interface ActionizeRootOptions {
+	reducers?: ReducerMap;
+	combine?: (build: ActionizeBuild, reducers: ReducerMap) => Function;
+}
+
+export default class ActionizeRoot {
+	constructor(actionize: Actionize, options?: ActionizeRootOptions);
+
+	reducer(): Reducer<any, any>;
+
+	attach(store: { replaceReducer: (reducer: Function) => void }): this;
+
+	mount<R = Reducer>(name: string, key?: string): R;
+
+	unmount(key: string): void;
+
+	isMounted(key: string): boolean;
+}
@@ -0,0 +1,121 @@
+import ActionizeBuild from './ActionizeBuild';
+
+export default class ActionizeRoot
+{
+	/**
+	 * Create a new ActionizeRoot instance. Use actionize.root(options) instead of calling this directly.
+	 *
+	 * @param {Actionize} actionize The Actionize instance that reducers are defined in.
+	 * @param {Object}    options   Options for the root:
+	 * - `reducers`: Reducers by key that are always mounted.
+	 * - `combine`: A function to combine the mounted reducers in the format `function(build, reducers)`.
+	 * Defaults to `build.combinePlain(reducers)`.
+	 */
+	constructor(actionize, options) {
+		options = options || {};
+		this._actionize = actionize;
+		this._combine = options.combine || ((build, reducers) => build.combinePlain(reducers));
+		this._reducers = { ...options.reducers };
+		this._names = {};
+		this._store = null;
+		this._reducer = null;
+		this._mounted = {};
+		this._rebuild();
+	}
+
+	/**
+	 * Get the current root reducer. The reducer changes whenever a reducer is mounted or unmounted.
+	 *
+	 * @returns {Function} The root reducer.
+	 */
+	reducer() {
+		return this._reducer;
+	}
+
+	/**
+	 * Attach a Redux store. The store's reducer is replaced whenever a reducer is mounted or unmounted.
+	 *
+	 * @param {Object} store The Redux store.
+	 *
+	 * @returns {ActionizeRoot} The root.
+	 */
+	attach(store) {
+		this._store = store;
+		return this;
+	}
+
+	/**
+	 * Mount a named reducer.
+	 *
+	 * @param {string} name The name the reducer was defined with.
+	 * @param {string} key  The key to mount the reducer's state under. Defaults to the name.
+	 * For example:
+	 * <pre><code>
+	 * // In a lazy loaded module:
+	 * actionize.set('todos', build => build.reducer(...));
+	 * root.mount('todos');
+	 * </code></pre>
+	 *
+	 * @returns {Function} The mounted reducer.
+	 */
+	mount(name, key = name) {
+		if (this._reducers[key]) {
+			throw new Error('Key "' + key + '" is already mounted.');
+		}
+		const reducer = this._actionize.get(name);
+		this._reducers[key] = reducer;
+		this._names[key] = name;
+		this._rebuild();
+		return reducer;
+	}
+
+	/**
+	 * Unmount a reducer. Reducers mounted by name are removed from Actionize, which releases their action types so
+	 * they can be defined again.
+	 *
+	 * @param {string} key The key the reducer is mounted under.
+	 *
+	 * @returns {void}
+	 */
+	unmount(key) {
+		if (!this._reducers[key]) {
+			throw new Error('Key "' + key + '" is not mounted.');
+		}
+		const name = this._names[key];
+		delete this._reducers[key];
+		delete this._names[key];
+		if (name !== undefined) {
+			this._actionize.remove(name);
+		}
+		this._rebuild();
+	}
+
+	/**
+	 * Check if a key is mounted.
+	 *
+	 * @param {string} key The key to check.
+	 *
+	 * @returns {boolean} True if mounted.
+	 */
+	isMounted(key) {
+		return !!this._reducers[key];
+	}
+
+	/**
+	 * Build the root reducer from the mounted reducers and give it to the attached store.
+	 *
+	 * @returns {void}
+	 */
+	_rebuild() {
+		const previous = this._reducer;
+		const build = new ActionizeBuild('root', this._actionize._options);
+		if (previous) {
+			Object.keys(this._mounted).forEach(key => ActionizeBuild.unmount(this._mounted[key], previous));
+		}
+		this._mounted = { ...this._reducers };
+		this._reducer = this._combine(build, this._mounted);
+		if (this._store) {
+			this._store.replaceReducer(this._reducer);
+		}
+	}
+}
@@ -0,0 +1,18 @@
+import { ActionizeOptions } from './Actionize';
+
+/**
+ * A payload schema for the built-in validator.
+ */
+export type Schema =
+	'any' | 'array' | 'boolean' | 'function' | 'number' | 'object' | 'string'
+	| ((value: any) => boolean)
+	| Schema[]
+	| { [key: string]: Schema };
+
+export default class ActionizeSchema {
+	static validate(schema: Schema, value: any, path?: string): string[];
+
+	static isValid(schema: Schema, payload: any, options: ActionizeOptions): boolean;
+
+	static check(schema: Schema, payload: any, type: string, options: ActionizeOptions): boolean;
+}
@@ -0,0 +1,120 @@
+/**
+ * The primitive type names understood by the built-in validator.
+ *
+ * @type {string[]}
+ */
+const TYPES = [ 'any', 'array', 'boolean', 'function', 'number', 'object', 'string' ];
+
+export default class ActionizeSchema
+{
+	/**
+	 * Validate a value against a schema using the built-in validator.
+	 *
+	 * A schema can be:
+	 * - A type name: "any", "array", "boolean", "function", "number", "object" or "string".
+	 * - An array containing a single schema, which every item in the value must match.
+	 * - An object of schemas by key. Keys ending with "?" are optional.
+	 * - A function that returns true when the value is valid.
+	 *
+	 * For example:
+	 * <pre><code>
+	 * {
+	 *   id: 'number',
+	 *   tags: [ 'string' ],
+	 *   author: { name: 'string', 'email?': 'string' },
+	 *   priority: value => value >= 0 && value <= 5
+	 * }
+	 * </code></pre>
+	 *
+	 * @param {*}      schema The schema.
+	 * @param {*}      value  The value to validate.
+	 * @param {string} path   The path of the value, used in error messages.
+	 *
+	 * @returns {string[]} The validation errors. Empty when the value is valid.
+	 */
+	static validate(schema, value, path = 'payload') {
+		if (typeof schema === 'string') {
+			if (TYPES.indexOf(schema) < 0) {
+				throw new Error('Schema type "' + schema + '" is not supported.');
+			}
+			const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+			if (schema !== 'any' && schema !== type) {
+				return [ '"' + path + '" must be a ' + schema + ', got ' + type + '.' ];
+			}
+			return [];
+		}
+		if (typeof schema === 'function') {
+			return schema(value) ? [] : [ '"' + path + '" is invalid.' ];
+		}
+		if (Array.isArray(schema)) {
+			if (!Array.isArray(value)) {
+				return [ '"' + path + '" must be an array.' ];
+			}
+			return value.reduce(
+				(errors, item, index) => errors.concat(ActionizeSchema.validate(schema[0], item, path + '[' + index + ']')),
+				[]
+			);
+		}
+		if (schema && typeof schema === 'object') {
+			if (!value || typeof value !== 'object') {
+				return [ '"' + path + '" must be an object.' ];
+			}
+			return Object.keys(schema).reduce((errors, key) => {
+				const optional = key[key.length - 1] === '?';
+				const name = optional ? key.slice(0, -1) : key;
+				const item = value[name];
+				const itemPath = path + '.' + name;
+				if (item === undefined || item === null) {
+					return optional ? errors : errors.concat([ '"' + itemPath + '" is required.' ]);
+				}
+				return errors.concat(ActionizeSchema.validate(schema[key], item, itemPath));
+			}, []);
+		}
+		throw new Error('Schema given is not supported.');
+	}
+
+	/**
+	 * Check if a payload matches a schema, without reporting it.
+	 *
+	 * @param {*}      schema  The schema.
+	 * @param {*}      payload The payload to check.
+	 * @param {Object} options The Actionize options. Uses `validator`.
+	 *
+	 * @returns {boolean} True if the payload is valid.
+	 */
+	static isValid(schema, payload, options) {
+		const validator = options.validator || ActionizeSchema.validate;
+		return !(validator(schema, payload) || []).length;
+	}
+
+	/**
+	 * Check a payload against a schema.
+	 * Throws an error for invalid payloads when not in production, otherwise reports them to the `onInvalidAction`
+	 * option and the action is ignored. Payloads are not checked in production when there is no `onInvalidAction`
+	 * option.
+	 *
+	 * @param {*}      schema  The schema.
+	 * @param {*}      payload The payload to check.
+	 * @param {string} type    The action type.
+	 * @param {Object} options The Actionize options. Uses `validator` and `onInvalidAction`.
+	 *
+	 * @returns {boolean} True if the action should be handled.
+	 */
+	static check(schema, payload, type, options) {
+		const production = process.env.NODE_ENV === 'production';
+		const onInvalidAction = options.onInvalidAction;
+		if (production && !onInvalidAction) {
+			return true;
+		}
+		const validator = options.validator || ActionizeSchema.validate;
+		const errors = validator(schema, payload) || [];
+		if (!errors.length) {
+			return true;
+		}
+		if (!production) {
+			throw new Error('Invalid payload for action "' + type + '": ' + errors.join(' '));
+		}
+		onInvalidAction(errors, type, payload);
+		return false;
+	}
+}
@@ -0,0 +1,22 @@
+import Actionize, { Reducer } from './Actionize';
+import ActionizeBuild from './ActionizeBuild';
+
+export default class ActionizeScope {
+	constructor(actionize: Actionize, namespace: string);
+
+	namespace(): string;
+
+	name(name: string): string;
+
+	define<R extends Function>(name: string, creator: (build: ActionizeBuild) => R): R;
+
+	set(name: string, creator: (build: ActionizeBuild) => Function): void;
+
+	get<R = Reducer>(name: string): R;
+
+	remove(name: string): void;
+
+	replace<R extends Function>(name: string, creator: (build: ActionizeBuild) => R): R | null;
+
+	scope(namespace: string): ActionizeScope;
+}
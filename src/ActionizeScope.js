@@ -0,0 +1,109 @@
+import Actionize from './Actionize';
+
+export default class ActionizeScope
+{
+	/**
+	 * Create a new ActionizeScope instance. Use actionize.scope(namespace) instead of calling this directly.
+	 *
+	 * @param {Actionize} actionize The Actionize instance that reducers are defined in.
+	 * @param {string}    namespace The namespace that names are prefixed with.
+	 */
+	constructor(actionize, namespace) {
+		Actionize.validateName(namespace);
+		if (!namespace) {
+			throw new Error('Namespace given to scope(namespace) cannot be empty.');
+		}
+		this._actionize = actionize;
+		this._namespace = namespace;
+	}
+
+	/**
+	 * Get the namespace of the scope, for example "todos.list" for actionize.scope('todos').scope('list').
+	 *
+	 * @returns {string} The namespace.
+	 */
+	namespace() {
+		return this._namespace;
+	}
+
+	/**
+	 * Get the full name for a name in the scope.
+	 *
+	 * @param {string} name The name in the scope.
+	 *
+	 * @returns {string} The full name, prefixed with the namespace.
+	 */
+	name(name) {
+		Actionize.validateName(name);
+		return this._namespace + '.' + name;
+	}
+
+	/**
+	 * Define a reducer in the scope and return it immediately. See actionize.define.
+	 *
+	 * @param {string}   name    The name for the reducer in the scope.
+	 * @param {Function} creator The reducer creator function.
+	 *
+	 * @returns {Function} The reducer.
+	 */
+	define(name, creator) {
+		return this._actionize.define(this.name(name), creator);
+	}
+
+	/**
+	 * Set the reducer for a name in the scope. See actionize.set.
+	 *
+	 * @param {string}   name    The name for the reducer in the scope.
+	 * @param {Function} creator The reducer creator function.
+	 *
+	 * @returns {void}
+	 */
+	set(name, creator) {
+		this._actionize.set(this.name(name), creator);
+	}
+
+	/**
+	 * Get a reducer defined in the scope. See actionize.get.
+	 *
+	 * @param {string} name The name of the reducer in the scope.
+	 *
+	 * @returns {Function} The reducer.
+	 */
+	get(name) {
+		return this._actionize.get(this.name(name));
+	}
+
+	/**
+	 * Remove a reducer defined in the scope. See actionize.remove.
+	 *
+	 * @param {string} name The name of the reducer in the scope.
+	 *
+	 * @returns {void}
+	 */
+	remove(name) {
+		this._actionize.remove(this.name(name));
+	}
+
+	/**
+	 * Replace the creator for a reducer defined in the scope. See actionize.replace.
+	 *
+	 * @param {string}   name    The name of the reducer in the scope.
+	 * @param {Function} creator The new reducer creator function.
+	 *
+	 * @returns {?Function} The new reducer, if it was created before.
+	 */
+	replace(name, creator) {
+		return this._actionize.replace(this.name(name), creator);
+	}
+
+	/**
+	 * Create a child scope, with names prefixed with this scope's namespace and the given one.
+	 *
+	 * @param {string} namespace The namespace in this scope.
+	 *
+	 * @returns {ActionizeScope} The child scope.
+	 */
+	scope(namespace) {
+		return new ActionizeScope(this._actionize, this.name(namespace));
+	}
+}
@@ -0,0 +1,175 @@
+/**
+ * Check if a value is a plain JS object.
+ *
+ * @param {*} value The value.
+ *
+ * @returns {boolean} Whether the value is a plain object.
+ */
+function isPlainObject(value) {
+	if (!value || typeof value !== 'object') {
+		return false;
+	}
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Get the path of a child value, in the format used by error messages.
+ *
+ * @param {string}        path The path of the parent.
+ * @param {string|number} key  The key of the child.
+ *
+ * @returns {string} The path of the child.
+ */
+function childPath(path, key) {
+	return typeof key === 'number' ? path + '[' + key + ']' : path + '.' + key;
+}
+
+export default class ActionizeStrict
+{
+	/**
+	 * Copy the plain objects and arrays in a value, so it can be compared after an action handler runs.
+	 *
+	 * @param {*} value The value.
+	 *
+	 * @returns {*} The snapshot.
+	 */
+	static snapshot(value) {
+		if (Array.isArray(value)) {
+			return value.map(item => ActionizeStrict.snapshot(item));
+		}
+		if (isPlainObject(value)) {
+			const copy = {};
+			Object.keys(value).forEach(key => {
+				copy[key] = ActionizeStrict.snapshot(value[key]);
+			});
+			return copy;
+		}
+		return value;
+	}
+
+	/**
+	 * Find where a value was changed since a snapshot of it was made.
+	 *
+	 * @param {*}      value    The value.
+	 * @param {*}      snapshot The snapshot.
+	 * @param {string} path     The path of the value.
+	 *
+	 * @returns {?string} The path of the first change, or null if the value wasn't changed.
+	 */
+	static findMutation(value, snapshot, path = 'state') {
+		if (Array.isArray(snapshot)) {
+			if (!Array.isArray(value) || value.length !== snapshot.length) {
+				return path;
+			}
+			for (let index = 0; index < snapshot.length; index++) {
+				const mutation = ActionizeStrict.findMutation(value[index], snapshot[index], childPath(path, index));
+				if (mutation) {
+					return mutation;
+				}
+			}
+			return null;
+		}
+		if (isPlainObject(snapshot)) {
+			const keys = Object.keys(snapshot);
+			if (!isPlainObject(value) || Object.keys(value).length !== keys.length) {
+				return path;
+			}
+			for (let index = 0; index < keys.length; index++) {
+				const key = keys[index];
+				if (!value.hasOwnProperty(key)) {
+					return childPath(path, key);
+				}
+				const mutation = ActionizeStrict.findMutation(value[key], snapshot[key], childPath(path, key));
+				if (mutation) {
+					return mutation;
+				}
+			}
+			return null;
+		}
+		return value === snapshot || value !== value && snapshot !== snapshot ? null : path;
+	}
+
+	/**
+	 * Find a value that can't be serialized: functions, promises, symbols and class instances.
+	 * Errors are allowed, as they are used as the payload of error actions.
+	 *
+	 * @param {*}      value     The value.
+	 * @param {string} path      The path of the value.
+	 * @param {Object} Immutable The Immutable JS library, to allow Immutable structures.
+	 *
+	 * @returns {?string} The path of the first value that can't be serialized, or null if there is none.
+	 */
+	static findNonSerializable(value, path, Immutable) {
+		const type = typeof value;
+		if (type === 'function' || type === 'symbol') {
+			return path;
+		}
+		if (!value || type !== 'object' || value instanceof Error) {
+			return null;
+		}
+		if (Immutable && Immutable.Iterable.isIterable(value)) {
+			return ActionizeStrict.findNonSerializable(value.toJS(), path, Immutable);
+		}
+		if (!Array.isArray(value) && !isPlainObject(value)) {
+			return path;
+		}
+		const keys = Object.keys(value);
+		for (let index = 0; index < keys.length; index++) {
+			const key = Array.isArray(value) ? index : keys[index];
+			const found = ActionizeStrict.findNonSerializable(value[key], childPath(path, key), Immutable);
+			if (found) {
+				return found;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Check an action before an action handler is called with it.
+	 *
+	 * @param {Object} action    The action.
+	 * @param {string} name      The name of the reducer.
+	 * @param {string} key       The action key of the handler.
+	 * @param {Object} Immutable The Immutable JS library, to allow Immutable structures.
+	 *
+	 * @returns {void}
+	 */
+	static checkAction(action, name, key, Immutable) {
+		const found = ActionizeStrict.findNonSerializable(action, 'action', Immutable);
+		if (found) {
+			throw new Error(
+				'Action "' + action.type + '" given to action handler "' + key + '" of reducer "' + name + '" '
+				+ 'has a value that can\'t be serialized at "' + found + '".'
+			);
+		}
+	}
+
+	/**
+	 * Check the state after an action handler was called.
+	 *
+	 * @param {*}      state     The state given to the handler.
+	 * @param {*}      snapshot  The snapshot of the state made before the handler was called.
+	 * @param {*}      newState  The state returned by the handler.
+	 * @param {string} name      The name of the reducer.
+	 * @param {string} key       The action key of the handler.
+	 * @param {Object} Immutable The Immutable JS library, to allow Immutable structures.
+	 *
+	 * @returns {void}
+	 */
+	static checkState(state, snapshot, newState, name, key, Immutable) {
+		const mutation = ActionizeStrict.findMutation(state, snapshot);
+		if (mutation) {
+			throw new Error(
+				'Action handler "' + key + '" of reducer "' + name + '" mutated the state at "' + mutation + '".'
+			);
+		}
+		const found = ActionizeStrict.findNonSerializable(newState, 'state', Immutable);
+		if (found) {
+			throw new Error(
+				'Action handler "' + key + '" of reducer "' + name + '" returned a value that can\'t be serialized '
+				+ 'at "' + found + '".'
+			);
+		}
+	}
+}
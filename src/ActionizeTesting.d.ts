@@ -0,0 +1,39 @@
+import Actionize, { Action, Reducer } from './Actionize';
+
+export interface TestingOptions<S = any> {
+	reducer?: Reducer<S>;
+	state?: S;
+}
+
+export interface TestingStore<S = any> {
+	getState(): S;
+	dispatch<A extends Action>(action: A): A;
+}
+
+export type ScenarioStep = [ string, any? ];
+
+export interface StepRecord<S = any> {
+	path: string;
+	payload: any;
+	actions: Action[];
+	prevState: S;
+	state: S;
+}
+
+export default class ActionizeTesting<S = any> {
+	constructor(actionize: Actionize, options?: TestingOptions<S>);
+
+	store(): TestingStore<S>;
+
+	state(): S;
+
+	dispatch(path: string, payload?: any): any;
+
+	run(scenario: ScenarioStep[]): StepRecord<S>[];
+
+	changed(record: StepRecord<S>): string[];
+
+	assertChangedOnly(record: StepRecord<S>, keys: string | string[]): void;
+
+	unexercised(): string[];
+}
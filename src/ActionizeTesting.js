@@ -0,0 +1,216 @@
+import Actionize from './Actionize';
+import ActionizeBuild from './ActionizeBuild';
+
+export default class ActionizeTesting
+{
+	/**
+	 * Create a new ActionizeTesting instance, a harness for testing the reducers defined in an Actionize instance
+	 * with an in-memory store.
+	 *
+	 * @param {Actionize} actionize The Actionize instance that reducers are defined in. Reducers that were set but not
+	 * created yet are created.
+	 * @param {Object}    options   Options for the harness:
+	 * - `reducer`: The root reducer of the store. Defaults to every defined reducer combined by name.
+	 * - `state`: The initial state of the store.
+	 */
+	constructor(actionize, options) {
+		options = options || {};
+		this._actionize = actionize;
+		this._catalog = actionize.describe();
+		this._names = Object.keys(this._catalog);
+		this._reducer = options.reducer || this._rootReducer();
+		this._state = this._reducer(options.state, { type: '@@actionize/testing/INIT' });
+		this._actions = [];
+		this._dispatchers = {};
+		this._exercised = {};
+		this._store = {
+			getState: () => this._state,
+			dispatch: action => {
+				this._record(action);
+				this._state = this._reducer(this._state, action);
+				return action;
+			}
+		};
+	}
+
+	/**
+	 * Get the in-memory store, with `getState` and `dispatch`.
+	 *
+	 * @returns {Object} The store.
+	 */
+	store() {
+		return this._store;
+	}
+
+	/**
+	 * Get the current state of the store.
+	 *
+	 * @returns {*} The state.
+	 */
+	state() {
+		return this._state;
+	}
+
+	/**
+	 * Dispatch an action through the dispatcher tree of a reducer.
+	 *
+	 * @param {string} path    The name of the reducer and the path to the action in its dispatcher, for example
+	 * "todos.list.add" for the `add` action of the reducer named "todos.list".
+	 * @param {*}      payload The payload.
+	 *
+	 * @returns {*} The result of the dispatcher, such as the promise of an effect.
+	 */
+	dispatch(path, payload) {
+		const name = this._names
+			.filter(name => path.indexOf(name + '.') === 0)
+			.sort((a, b) => b.length - a.length)[0];
+		if (!name) {
+			throw new Error('Action path "' + path + '" does not start with a defined name.');
+		}
+		const dispatcher = this._dispatchers[name]
+			|| (this._dispatchers[name] = this._actionize.dispatcher(
+				this._actionize.get(name),
+				this._store.dispatch,
+				this._store.getState
+			));
+		const invoker = path.slice(name.length + 1).split('.').reduce((item, key) => item && item[key], dispatcher);
+		if (typeof invoker !== 'function') {
+			throw new Error('Action path "' + path + '" is not defined.');
+		}
+		return invoker(payload);
+	}
+
+	/**
+	 * Replay a scenario, and record the state after each step.
+	 *
+	 * @param {Array[]} scenario The steps, in the format `[ path, payload ]`. See dispatch().
+	 * For example:
+	 * <pre><code>
+	 * harness.run([
+	 *   [ 'todos.list.add', { text: 'foo' } ],
+	 *   [ 'todos.filter.set', { value: 'done' } ]
+	 * ]);
+	 * </code></pre>
+	 *
+	 * @returns {Object[]} The records of each step, with `path`, `payload`, the `actions` dispatched, and the state
+	 * before (`prevState`) and after (`state`).
+	 */
+	run(scenario) {
+		return scenario.map(([ path, payload ]) => {
+			const prevState = this._state;
+			const start = this._actions.length;
+			this.dispatch(path, payload);
+			return { path, payload, actions: this._actions.slice(start), prevState, state: this._state };
+		});
+	}
+
+	/**
+	 * Get the keys of the state that a step changed.
+	 *
+	 * @param {Object} record The record of the step, from run().
+	 *
+	 * @returns {string[]} The keys that changed.
+	 */
+	changed(record) {
+		const { prevState, state } = record;
+		const keys = Object.keys({ ...prevState, ...state });
+		return keys.filter(key => (prevState || {})[key] !== (state || {})[key]);
+	}
+
+	/**
+	 * Throw an error unless a step only changed the given keys of the state.
+	 *
+	 * @param {Object}          record The record of the step, from run().
+	 * @param {string|string[]} keys   The keys that the step is expected to change.
+	 *
+	 * @returns {void}
+	 */
+	assertChangedOnly(record, keys) {
+		keys = [].concat(keys);
+		const unexpected = this.changed(record).filter(key => keys.indexOf(key) < 0);
+		if (unexpected.length) {
+			throw new Error(
+				'Action "' + record.path + '" changed "' + unexpected.join('", "') + '", '
+				+ 'expected only "' + keys.join('", "') + '".'
+			);
+		}
+	}
+
+	/**
+	 * Get the handlers of the defined reducers that no dispatched action has exercised yet.
+	 *
+	 * @returns {string[]} The paths of the handlers: actions in the format of dispatch(), effect stages as the path of
+	 * the effect and the stage, for example "todos.load/fulfilled", and handlers given with handle() as the path of
+	 * the reducer and the action type, for example "todos|session:logout".
+	 */
+	unexercised() {
+		const paths = [];
+		const walk = (description, path) => {
+			const { actions, effects, handles, children } = description;
+			Object.keys(actions).forEach(key => {
+				if (!this._exercised[actions[key]]) {
+					paths.push(path + '.' + key);
+				}
+			});
+			const effectTypes = {};
+			Object.keys(effects).forEach(key => {
+				Object.keys(effects[key]).forEach(stage => {
+					const type = effects[key][stage];
+					effectTypes[type] = true;
+					if (!this._exercised[type]) {
+						paths.push(path + '.' + key + '/' + stage);
+					}
+				});
+			});
+			(handles || []).forEach(type => {
+				if (!effectTypes[type] && !this._exercised[type]) {
+					paths.push(path + type);
+				}
+			});
+			Object.keys(children).forEach(key => walk(children[key], path + '.' + key));
+		};
+		this._names.forEach(name => walk(this._catalog[name], name));
+		return paths;
+	}
+
+	/**
+	 * Record a dispatched action.
+	 *
+	 * @param {Object} action The action.
+	 *
+	 * @returns {void}
+	 */
+	_record(action) {
+		this._actions.push(action);
+		this._exercise(action);
+	}
+
+	/**
+	 * Mark the action type of an action as exercised, or the action types of the actions in a batch.
+	 *
+	 * @param {Object} action The action.
+	 *
+	 * @returns {void}
+	 */
+	_exercise(action) {
+		if (Actionize.isBatch(action)) {
+			action.payload.forEach(batchAction => this._exercise(batchAction));
+		} else if (action && action.type) {
+			this._exercised[action.type] = true;
+		}
+	}
+
+	/**
+	 * Create a root reducer with every defined reducer combined by name. The reducers are combined unmounted, so
+	 * their selectors still pick from the app's state.
+	 *
+	 * @returns {Function} The root reducer.
+	 */
+	_rootReducer() {
+		const reducers = {};
+		this._names.forEach(name => {
+			reducers[name] = ActionizeBuild.unmounted(this._actionize.get(name));
+		});
+		return this._actionize.root({ reducers }).reducer();
+	}
+}
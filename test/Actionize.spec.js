@@ -1,6 +1,7 @@
 import expect from 'expect';
 import Immutable from 'immutable';
 import Actionize from '../src/Actionize';
+import ActionizeBuild from '../src/ActionizeBuild';
 
 describe('Actionize', () => {
 
@@ -125,6 +126,17 @@ describe('Actionize', () => {
 			expect(() => a.get('r1')).toThrow(/action "|r1:setBar" is defined twice/i);
 		});
 
+		it('throws an error for duplicate effect lifecycle action types', () => {
+			const a = new Actionize;
+
+			a.set('r1', build => build.reducer(null, {
+				load: build.effect('load', () => null),
+				'load/pending': state => state
+			}));
+
+			expect(() => a.get('r1')).toThrow(/action "|r1:load\/pending" is defined twice/i);
+		});
+
 		it('ignores non-function properties on reducer', () => {
 			const a = new Actionize;
 
@@ -151,6 +163,228 @@ describe('Actionize', () => {
 
 	});
 
+	describe('plugins', () => {
+
+		it('calls onDefine when a reducer is created', () => {
+			const defined = [];
+			const a = new Actionize({ plugins: [ { onDefine: (name, reducer) => defined.push([ name, reducer ]) } ] });
+			a.set('plugins1', build => build.reducer(0, {}));
+			expect(defined).toEqual([]);
+			const reducer = a.get('plugins1');
+			a.get('plugins1');
+			expect(defined).toEqual([ [ 'plugins1', reducer ] ]);
+		});
+
+		it('runs handler hooks for defined reducers', () => {
+			const keys = [];
+			const a = new Actionize({ plugins: [ { afterHandle: (prevState, nextState, action, meta) => keys.push(meta.key) } ] });
+			const reducer = a.define('plugins2', build => build.reducer(0, { inc: state => state + 1 }));
+			reducer(0, { type: reducer.inc.type });
+			expect(keys).toEqual([ 'inc' ]);
+		});
+
+		it('throws an error for plugins that are not objects', () => {
+			expect(() => new Actionize({ plugins: [ () => null ] })).toThrow(/must be objects/i);
+		});
+
+	});
+
+	describe('errorPolicy', () => {
+
+		it('throws an error for an unknown error policy', () => {
+			expect(() => new Actionize({ errorPolicy: 'ignore' })).toThrow(/error policy/i);
+		});
+
+		it('keeps the state of defined reducers with the skip policy', () => {
+			const a = new Actionize({ errorPolicy: 'skip' });
+			const reducer = a.define('errorPolicy1', build => build.reducer(0, {
+				fail: () => { throw new Error('failed'); }
+			}));
+			expect(reducer(1, { type: reducer.fail.type })).toEqual(1);
+		});
+
+	});
+
+	describe('remove', () => {
+
+		it('removes the reducer so the name can be defined again', () => {
+			const a = new Actionize;
+			a.define('foo', build => build.reducer({}, { bar: () => null }));
+			a.remove('foo');
+			expect(() => a.get('foo')).toThrow(/not defined/i);
+			const reducer = a.define('foo', build => build.reducer({}, { bar: () => null }));
+			expect(reducer.bar.type).toEqual('|foo:bar');
+		});
+
+		it('does not release action types of other named reducers', () => {
+			const a = new Actionize;
+			a.set('r2', build => build.reducer({}, { bar: () => null }));
+			a.define('r1', build => build.nestPlain(build.reducer({}, { foo: () => null }), { r2: a.get('r2') }));
+			a.remove('r1');
+			expect(() => a.define('other', () => new ActionizeBuild('r2').reducer({}, { bar: () => null }))).toThrow(/action "\|r2:bar" is defined twice/i);
+		});
+
+		it('removes reducers that were set but not fetched', () => {
+			const a = new Actionize;
+			a.set('foo', () => () => null);
+			a.remove('foo');
+			expect(() => a.get('foo')).toThrow(/not defined/i);
+		});
+
+		it('throws an error when name is not defined', () => {
+			const a = new Actionize;
+			expect(() => a.remove('undefined')).toThrow(/not defined/i);
+		});
+
+	});
+
+	describe('replace', () => {
+
+		it('replaces the creator of a reducer that was not created yet', () => {
+			const a = new Actionize;
+			a.set('foo', build => build.reducer('old', {}));
+			expect(a.replace('foo', build => build.reducer('new', {}))).toEqual(null);
+			expect(a.get('foo')(undefined, {})).toEqual('new');
+		});
+
+		it('creates the reducer again with the same action types', () => {
+			const a = new Actionize;
+			const r1 = a.define('foo', build => build.reducer(null, { bar: () => 'old' }));
+			const r2 = a.replace('foo', build => build.reducer(null, { bar: () => 'new', baz: () => 'baz' }));
+			expect(r2).toNotBe(r1);
+			expect(a.get('foo')).toBe(r2);
+			expect(r2.bar.type).toEqual(r1.bar.type);
+			expect(r2(null, { type: r1.bar.type })).toEqual('new');
+		});
+
+		it('keeps existing dispatchers and handlers in other reducers working', () => {
+			const a = new Actionize({ hmr: true });
+			const foo = a.define('foo', build => build.reducer(null, { bar: () => 'old' }));
+			const other = a.define('other', build => build.reducer(null, { [build.handle(foo.bar)]: () => 'other' }));
+			const root = a.define('root', build => build.combinePlain({ foo, other }));
+			let state = root(undefined, {});
+			const dispatcher = a.dispatcher(root, action => state = root(state, action));
+
+			expect(a.replace('foo', build => build.reducer(null, { bar: () => 'new' }))).toBe(foo);
+			dispatcher.foo.bar();
+			expect(state).toEqual({ foo: 'new', other: 'other' });
+		});
+
+		it('keeps selectors working with the hmr option', () => {
+			const a = new Actionize({ hmr: true });
+			const foo = a.define('foo', build => build.selectors(build.reducer('foo', {}), { value: state => state }));
+			const root = a.define('root', build => build.combinePlain({ foo }));
+			a.replace('foo', build => build.selectors(build.reducer('foo', {}), { value: state => state + '!' }));
+			expect(root.foo.selectors.value({ foo: 'bar' })).toEqual('bar!');
+		});
+
+		it('keeps the order of handlers with the hmr option', () => {
+			const a = new Actionize({ hmr: true });
+			const calls = [];
+			const first = a.define('first', build => build.reducer(0, { add: state => calls.push('first') && state + 1 }));
+			const guard = a.define('guard', build => build.reducer(true, {
+				[build.handle(first.add)]: build.before(state => calls.push('guard') && build.stop(state))
+			}));
+			const root = a.define('root', build => build.combinePlain({ first, guard }));
+			expect(root({ first: 0, guard: true }, { type: first.add.type })).toEqual({ first: 0, guard: true });
+			expect(calls).toEqual([ 'guard' ]);
+		});
+
+		it('keeps the previous reducer when the new creator fails', () => {
+			const a = new Actionize({ hmr: true });
+			const foo = a.define('foo', build => build.reducer(null, { bar: () => 'old' }));
+			expect(() => a.replace('foo', () => 'not-a-function')).toThrow(/must return a function/i);
+			expect(a.get('foo')).toBe(foo);
+			expect(foo(null, { type: foo.bar.type })).toEqual('old');
+			expect(() => a.define('other', () => new ActionizeBuild('foo').reducer({}, { bar: () => null })))
+				.toThrow(/defined twice/i);
+		});
+
+		it('throws an error when name is not defined', () => {
+			const a = new Actionize;
+			expect(() => a.replace('undefined', () => null)).toThrow(/not defined/i);
+		});
+
+		it('throws an error when creator is not a function', () => {
+			const a = new Actionize;
+			a.set('foo', () => () => null);
+			expect(() => a.replace('foo', 'not-a-function')).toThrow(/must be a function/i);
+		});
+
+	});
+
+	describe('describe', () => {
+
+		it('describes actions, effects, handled types and children', () => {
+			const a = new Actionize;
+			a.define('session', build => build.reducer(null, { logout: () => null }));
+			a.define('todos', build => {
+				const load = build.effect('load', () => []);
+				const list = build.reducer([], {
+					add: state => state,
+					[build.handle('|session:logout', load.fulfilled)]: () => []
+				});
+				const filter = build.reducer('all', { setFilter: (state, { value }) => value });
+				return build.nestPlain(build.reducer({}, { load, clear: () => ({}) }), { list, filter });
+			});
+			expect(a.describe()).toEqual({
+				session: { actions: { logout: '|session:logout' }, effects: {}, handles: [], children: {} },
+				todos: {
+					actions: { clear: '|todos:clear' },
+					effects: {
+						load: {
+							pending: '|todos:load/pending',
+							fulfilled: '|todos:load/fulfilled',
+							rejected: '|todos:load/rejected'
+						}
+					},
+					handles: [],
+					children: {
+						list: {
+							actions: { add: '|todos:add' },
+							effects: {},
+							handles: [ '|session:logout', '|todos:load/fulfilled' ],
+							children: {}
+						},
+						filter: { actions: { setFilter: '|todos:setFilter' }, effects: {}, handles: [], children: {} }
+					}
+				}
+			});
+		});
+
+		it('creates reducers that were set', () => {
+			const a = new Actionize;
+			const creator = expect.createSpy().andCall(build => build.reducer(0, {}));
+			a.set('describe1', creator);
+			expect(Object.keys(a.describe())).toEqual([ 'describe1' ]);
+			expect(creator.calls.length).toEqual(1);
+		});
+
+		it('marks unknown handled types and keyed reducers', () => {
+			const a = new Actionize;
+			a.define('describe2', build => build.combinePlain({
+				plain: (state = 0) => state,
+				forms: build.keyed(build.reducer({}, { reset: () => ({}) }))
+			}));
+			const description = a.describe().describe2;
+			expect(description.handles).toBe(null);
+			expect(description.children.plain.handles).toBe(null);
+			expect(description.children.forms.keyed).toBe(true);
+			expect(description.children.forms.actions).toEqual({
+				reset: '|describe2:reset',
+				removeInstance: '|describe2:removeInstance'
+			});
+		});
+
+		it('exports the description as JSON', () => {
+			const a = new Actionize;
+			a.define('describe3', build => build.reducer(0, { inc: state => state + 1 }));
+			expect(JSON.parse(a.describeJSON())).toEqual(a.describe());
+			expect(a.describeJSON(2)).toContain('\n  "describe3": {');
+		});
+
+	});
+
 	describe('dispatcher', () => {
 
 		it('works with a reducer', () => {
@@ -192,6 +426,258 @@ describe('Actionize', () => {
 			dispatcher.customName2.customName3({ text: '4' });
 			expect(dispatched).toEqual([ 'foo1', 'bar2', 'foo3', 'bar4' ]);
 		});
+
+		it('checks payloads before dispatching', () => {
+			const a = new Actionize;
+			const reducer = a.define('dispatcher4', build => build.reducer({}, {
+				foo: build.validate({ text: 'string' }, (state, action) => 'foo' + action.text)
+			}));
+			const dispatched = [];
+			const dispatcher = a.dispatcher(reducer, action => dispatched.push(action));
+			expect(() => dispatcher.foo({ text: 1 })).toThrow(/"payload.text" must be a string/i);
+			dispatcher.foo({ text: 'bar' });
+			expect(dispatched).toEqual([ { text: 'bar', type: reducer.foo.type } ]);
+		});
+
+		it('does not dispatch invalid payloads reported in production', () => {
+			const env = process.env.NODE_ENV;
+			process.env.NODE_ENV = 'production';
+			const reported = [];
+			const a = new Actionize({ onInvalidAction: errors => reported.push(errors) });
+			const reducer = a.define('dispatcher5', build => build.reducer({}, {
+				foo: build.validate({ text: 'string' }, (state, action) => 'foo' + action.text)
+			}));
+			const dispatched = [];
+			const dispatcher = a.dispatcher(reducer, action => dispatched.push(action));
+			try {
+				dispatcher.foo({});
+			} finally {
+				process.env.NODE_ENV = env;
+			}
+			expect(dispatched).toEqual([]);
+			expect(reported).toEqual([ [ '"payload.text" is required.' ] ]);
+		});
+
+		it('includes undoable history actions', () => {
+			const a = new Actionize;
+			const reducer = a.define('dispatcher9', build => build.undoable(build.reducer(0, { inc: state => state + 1 })));
+			let state = reducer(undefined, {});
+			const dispatcher = a.dispatcher(reducer, action => state = reducer(state, action));
+			dispatcher.inc();
+			dispatcher.undo();
+			dispatcher.jump(1);
+			expect(state).toEqual({ past: [ 0 ], present: 1, future: [] });
+		});
+
+		it('ignores selectors', () => {
+			const a = new Actionize;
+			const reducer = a.define('dispatcher8', build => build.selectors(
+				build.reducer({}, { foo: () => null }),
+				{ bar: state => state }
+			));
+			const dispatcher = a.dispatcher(reducer, () => null);
+			expect(Object.keys(dispatcher)).toEqual([ 'foo' ]);
+		});
+
+		it('sets non-object arguments as the payload', () => {
+			const a = new Actionize;
+			const reducer = a.define('dispatcher6', build => build.reducer({}, { foo: () => null }));
+			const dispatched = [];
+			const dispatcher = a.dispatcher(reducer, action => dispatched.push(action));
+			const type = reducer.foo.type;
+			const error = new Error('bar');
+			dispatcher.foo('bar');
+			dispatcher.foo(0);
+			dispatcher.foo([ 1 ]);
+			dispatcher.foo(error);
+			dispatcher.foo();
+			expect(dispatched).toEqual([
+				{ type, payload: 'bar' },
+				{ type, payload: 0 },
+				{ type, payload: [ 1 ] },
+				{ type, payload: error },
+				{ type }
+			]);
+		});
+
+		it('dispatches Flux Standard Actions in FSA mode', () => {
+			const a = new Actionize({ fsa: true });
+			const reducer = a.define('dispatcher7', build => build.reducer({}, {
+				foo: (state, payload, action) => ({ payload, meta: action.meta })
+			}));
+			const dispatched = [];
+			const dispatcher = a.dispatcher(reducer, action => dispatched.push(action));
+			const type = reducer.foo.type;
+			const error = new Error('bar');
+			dispatcher.foo({ text: 'bar' }, { tracked: true });
+			dispatcher.foo(error);
+			expect(dispatched).toEqual([
+				{ type, payload: { text: 'bar' }, meta: { tracked: true } },
+				{ type, payload: error, error: true }
+			]);
+			expect(reducer(null, dispatched[0])).toEqual({ payload: { text: 'bar' }, meta: { tracked: true } });
+		});
+
+		it('exposes effects as functions returning a promise', () => {
+			const a = new Actionize;
+			const reducer = a.define('dispatcher3', build => {
+				const load = build.effect('load', (payload, { getState }) => getState().length + payload.n);
+				return build.reducer([], {
+					load,
+					[build.handle(load.fulfilled)]: (state, { result }) => [ ...state, result ]
+				});
+			});
+			let state = reducer(undefined, {});
+			const dispatcher = a.dispatcher(
+				reducer,
+				action => state = reducer(state, action),
+				() => state
+			);
+			return dispatcher.load({ n: 10 }).then(result => {
+				expect(result).toEqual(10);
+				expect(state).toEqual([ 10 ]);
+			});
+		});
+
+		it('dispatches batches once', () => {
+			const a = new Actionize;
+			const todos = a.define('dispatcher5', build => build.reducer([], {
+				add: (state, { text }) => [ ...state, text ]
+			}));
+			const filter = a.define('dispatcher6', build => build.reducer('all', {
+				set: (state, { value }) => value
+			}));
+			const root = a.define('dispatcher7', build => build.combinePlain({ todos, filter }));
+			const dispatched = [];
+			let state = root(undefined, {});
+			const dispatcher = a.dispatcher({ todos, filter }, action => {
+				dispatched.push(action);
+				state = root(state, action);
+			});
+			dispatcher.batch(d => {
+				d.todos.add({ text: 'foo' });
+				d.filter.set({ value: 'done' });
+				d.todos.add({ text: 'bar' });
+			});
+			expect(dispatched.length).toEqual(1);
+			expect(Actionize.isBatch(dispatched[0])).toBe(true);
+			expect(state).toEqual({ todos: [ 'foo', 'bar' ], filter: 'done' });
+			dispatcher.batch(() => null);
+			expect(dispatched.length).toEqual(1);
+		});
+
+		it('throws an error for actions with a batch key', () => {
+			const a = new Actionize;
+			const reducer = a.define('dispatcher8', build => build.reducer(0, { batch: state => state }));
+			expect(() => a.dispatcher(reducer, () => null)).toThrow(/cannot have "batch"/);
+		});
+
+		it('takes a key for keyed reducers', () => {
+			const a = new Actionize;
+			const forms = a.define('dispatcher4', build => build.keyed(build.reducer({}, {
+				setField: (state, { name, value }) => ({ ...state, [name]: value })
+			})));
+			let state;
+			const dispatcher = a.dispatcher({ forms }, action => state = forms(state, action));
+			dispatcher.forms('tab-3').setField({ name: 'title', value: 'foo' });
+			dispatcher.forms('tab-4').setField({ name: 'title', value: 'bar' }, { source: 'test' });
+			expect(state).toEqual({ 'tab-3': { title: 'foo' }, 'tab-4': { title: 'bar' } });
+			dispatcher.forms('tab-3').removeInstance();
+			expect(state).toEqual({ 'tab-4': { title: 'bar' } });
+		});
+	});
+
+	describe('creators', () => {
+
+		it('creates actions without dispatching them', () => {
+			const a = new Actionize;
+			const reducer = a.define('creators1', build => build.reducer({}, {
+				foo: (state, action) => 'foo' + action.text
+			}));
+			const creators = a.creators(reducer);
+			expect(creators.foo.type).toEqual(reducer.foo.type);
+			expect(creators.foo({ text: 'bar' })).toEqual({ text: 'bar', type: reducer.foo.type });
+			expect(reducer('state', creators.foo({ text: 'bar' }))).toEqual('foobar');
+		});
+
+		it('works with nested reducers and objects', () => {
+			const a = new Actionize;
+			const reducer = a.define('creators2', build => {
+				const r1 = build.reducer({}, { foo: () => 'foo' });
+				const r2 = build.reducer({}, { bar: () => 'bar' });
+				return build.nestPlain(r1, { r2 });
+			});
+			const creators = a.creators({
+				root: reducer,
+				custom: { name: reducer.r2.bar }
+			});
+			expect(creators.root.foo().type).toEqual(reducer.foo.type);
+			expect(creators.root.r2.bar().type).toEqual(reducer.r2.bar.type);
+			expect(creators.custom.name().type).toEqual(reducer.r2.bar.type);
+		});
+
+		it('reuses creators for repeated items', () => {
+			const a = new Actionize;
+			const reducer = a.define('creators3', build => build.reducer({}, { foo: () => 'foo' }));
+			const creators = a.creators({ r1: reducer, r2: reducer, foo: reducer.foo });
+			expect(creators.r1).toBe(creators.r2);
+			expect(creators.foo).toBe(creators.r1.foo);
+		});
+
+		it('creates effect lifecycle actions', () => {
+			const a = new Actionize;
+			const reducer = a.define('creators4', build => build.reducer({}, {
+				load: build.effect('load', () => null)
+			}));
+			const creators = a.creators(reducer);
+			expect(creators.load.fulfilled({ result: 1 })).toEqual({ result: 1, type: '|creators4:load/fulfilled' });
+		});
+
+		it('takes a key for keyed reducers', () => {
+			const a = new Actionize;
+			const forms = a.define('creators5', build => build.keyed(build.reducer({}, { reset: () => ({}) })));
+			const creators = a.creators({ forms });
+			expect(creators.forms(1).reset.type).toEqual(forms.reset.type);
+			expect(creators.forms(1).reset(null, { source: 'test' })).toEqual({
+				type: forms.reset.type,
+				payload: null,
+				meta: { source: 'test', key: 1 }
+			});
+		});
+
+	});
+
+	describe('buildAction', () => {
+
+		it('spreads plain object payloads into the action', () => {
+			expect(Actionize.buildAction('|foo:a', { x: 1, type: 'x' })).toEqual({ x: 1, type: '|foo:a' });
+			expect(Actionize.buildAction('|foo:a', { x: 1 }, 'm')).toEqual({ x: 1, type: '|foo:a', meta: 'm' });
+		});
+
+		it('creates Flux Standard Actions', () => {
+			const error = new Error('x');
+			expect(Actionize.buildAction('|foo:a', { x: 1 }, undefined, true)).toEqual({ type: '|foo:a', payload: { x: 1 } });
+			expect(Actionize.buildAction('|foo:a', undefined, undefined, true)).toEqual({ type: '|foo:a' });
+			expect(Actionize.buildAction('|foo:a', error, 'm', true)).toEqual({
+				type: '|foo:a',
+				payload: error,
+				error: true,
+				meta: 'm'
+			});
+		});
+
+	});
+
+	describe('batchAction', () => {
+
+		it('creates batch actions', () => {
+			const actions = [ { type: 'a' } ];
+			expect(Actionize.batchAction(actions)).toEqual({ type: '@@actionize/batch', payload: actions });
+			expect(Actionize.isBatch(Actionize.batchAction(actions, true))).toBe(true);
+			expect(Actionize.isBatch({ type: '@@actionize/batch' })).toBe(false);
+			expect(Actionize.isBatch(undefined)).toBe(false);
+		});
+
 	});
 
 	describe('validateName', () => {
@@ -1,6 +1,8 @@
 import expect from 'expect';
 import Immutable from 'immutable';
+import Actionize from '../src/Actionize';
 import ActionizeBuild from '../src/ActionizeBuild';
+import ActionizeMemoryStorage from '../src/ActionizeMemoryStorage';
 
 describe('ActionizeBuild', () => {
 
@@ -32,6 +34,12 @@ describe('ActionizeBuild', () => {
 			expect(r.a()).toEqual('sup');
 		});
 
+		it('gives handlers the payload in FSA mode', () => {
+			const b = new ActionizeBuild('foo', { fsa: true });
+			const r = b.reducer(null, { a: (state, payload, action) => [ payload, action.meta ] });
+			expect(r(null, { type: r.a.type, payload: 'bar', meta: 'baz' })).toEqual([ 'bar', 'baz' ]);
+		});
+
 		it('ignores non-function properties on reducer', () => {
 			const b = new ActionizeBuild('foo');
 
@@ -54,6 +62,600 @@ describe('ActionizeBuild', () => {
 
 	});
 
+	describe('batch', () => {
+
+		const batch = (actions, fsa) => Actionize.batchAction(actions, fsa);
+
+		it('handles the actions of a batch in order', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.reducer('', { add: (state, { value }) => state + value });
+			const state = r('', batch([
+				{ type: r.add.type, value: 'a' },
+				{ type: 'other' },
+				batch([ { type: r.add.type, value: 'b' } ]),
+				{ type: r.add.type, value: 'c' }
+			]));
+			expect(state).toEqual('abc');
+		});
+
+		it('handles batches in FSA mode', () => {
+			const b = new ActionizeBuild('foo', { fsa: true });
+			const r = b.reducer(0, { add: (state, value) => state + value });
+			expect(r(0, batch([ { type: r.add.type, payload: 1 }, { type: r.add.type, payload: 2 } ], true))).toEqual(3);
+		});
+
+		it('gives each action to combined reducers in order', () => {
+			const b = new ActionizeBuild('foo');
+			const seen = [];
+			const plain = (state = 0, action) => {
+				seen.push(action.type);
+				return state;
+			};
+			const r1 = b.reducer(0, { inc: state => state + 1 });
+			const r2 = b.reducer([], { [b.handle(r1.inc)]: state => [ ...state, 'inc' ] });
+			const r = b.combinePlain({ r1, r2, plain });
+			const state = r({ r1: 0, r2: [], plain: 0 }, batch([ { type: r1.inc.type }, { type: r1.inc.type } ]));
+			expect(state).toEqual({ r1: 2, r2: [ 'inc', 'inc' ], plain: 0 });
+			expect(seen).toEqual([ r1.inc.type, r1.inc.type ]);
+		});
+
+		it('unpacks batches in nested, keyed and undoable reducers', () => {
+			const b = new ActionizeBuild('foo');
+			const parent = b.reducer({}, { reset: () => ({ child: 0 }) });
+			const child = b.reducer(0, { inc: state => state + 1 });
+			const nested = b.nestPlain(parent, { child });
+			expect(nested({ child: 5 }, batch([ { type: parent.reset.type }, { type: child.inc.type } ])))
+				.toEqual({ child: 1 });
+
+			const b2 = new ActionizeBuild('bar');
+			const keyed = b2.keyed(b2.reducer(0, { inc: state => state + 1 }));
+			const inc = key => ({ type: keyed.inc.type, meta: { key } });
+			expect(keyed({}, batch([ inc('a'), inc('b'), inc('a') ]))).toEqual({ a: 2, b: 1 });
+
+			const b3 = new ActionizeBuild('baz');
+			const history = b3.undoable(b3.reducer(0, { inc: state => state + 1 }));
+			const initial = history(undefined, { type: '@@INIT' });
+			const state = history(initial, batch([ { type: history.inc.type }, { type: history.inc.type } ]));
+			expect(state).toEqual({ past: [ 0, 1 ], present: 2, future: [] });
+		});
+
+	});
+
+	describe('errorPolicy', () => {
+
+		const failing = b => b.reducer(0, {
+			fail: () => { throw new Error('failed'); },
+			[b.handle('|foo:fail')]: state => state + 1
+		});
+
+		it('throws errors from action handlers by default', () => {
+			const b = new ActionizeBuild('foo');
+			const r = failing(b);
+			expect(() => r(0, { type: r.fail.type })).toThrow('failed');
+		});
+
+		it('keeps the previous state and continues with the skip policy', () => {
+			const b = new ActionizeBuild('foo', { errorPolicy: 'skip' });
+			const r = failing(b);
+			expect(r(1, { type: r.fail.type })).toEqual(2);
+		});
+
+		it('reports errors with the report policy', () => {
+			const reports = [];
+			const b = new ActionizeBuild('foo', {
+				errorPolicy: 'report',
+				onHandlerError: (err, type, name) => reports.push([ err.message, type, name ])
+			});
+			const r = failing(b);
+			expect(r(1, { type: r.fail.type })).toEqual(2);
+			expect(reports).toEqual([ [ 'failed', '|foo:fail', 'foo' ] ]);
+		});
+
+		it('gives errors to plugins before the policy', () => {
+			const onError = expect.createSpy();
+			const b = new ActionizeBuild('foo', { errorPolicy: 'skip', plugins: [ { onError } ] });
+			const r = failing(b);
+			r(0, { type: r.fail.type });
+			expect(onError.calls.length).toEqual(1);
+		});
+
+		it('isolates reducers in combined reducers', () => {
+			const reports = [];
+			const b = new ActionizeBuild('root', {
+				errorPolicy: 'report',
+				onHandlerError: (err, type, name) => reports.push(name)
+			});
+			const broken = () => { throw new Error('broken'); };
+			const r = b.combinePlain({ broken, ok: (state = 0) => state + 1 });
+			expect(r({ broken: 'x', ok: 0 }, { type: 'any' })).toEqual({ broken: 'x', ok: 1 });
+			expect(reports).toEqual([ 'root.broken' ]);
+		});
+
+		it('isolates the parent in nested reducers', () => {
+			const b = new ActionizeBuild('root', { errorPolicy: 'skip' });
+			const parent = () => { throw new Error('broken'); };
+			const r = b.nestPlain(parent, { ok: (state = 0) => state + 1 });
+			expect(r({ ok: 0 }, { type: 'any' })).toEqual({ ok: 1 });
+		});
+
+		it('throws errors from combined reducers by default', () => {
+			const b = new ActionizeBuild('root');
+			const r = b.combinePlain({ broken: () => { throw new Error('broken'); } });
+			expect(() => r({}, { type: 'any' })).toThrow('broken');
+		});
+
+	});
+
+	describe('strict', () => {
+
+		it('throws an error when an action handler mutates the state', () => {
+			const b = new ActionizeBuild('todos', { strict: true });
+			const r = b.reducer([], {
+				add: (state, { text }) => {
+					state.push(text);
+					return state;
+				}
+			});
+			expect(() => r([], { type: r.add.type, text: 'foo' }))
+				.toThrow('Action handler "add" of reducer "todos" mutated the state at "state".');
+		});
+
+		it('throws an error for nested mutations', () => {
+			const b = new ActionizeBuild('todos', { strict: true });
+			const r = b.reducer([ { done: false } ], {
+				toggle: state => {
+					state[0].done = true;
+					return [ ...state ];
+				}
+			});
+			expect(() => r(undefined, { type: r.toggle.type })).toThrow(/at "state\[0\]\.done"/);
+		});
+
+		it('throws an error for state that can\'t be serialized', () => {
+			const b = new ActionizeBuild('todos', { strict: true });
+			const r = b.reducer({}, { set: () => ({ callback: () => null }) });
+			expect(() => r({}, { type: r.set.type }))
+				.toThrow('Action handler "set" of reducer "todos" returned a value that can\'t be serialized at "state.callback".');
+		});
+
+		it('throws an error for actions that can\'t be serialized', () => {
+			const b = new ActionizeBuild('todos', { strict: true });
+			const r = b.reducer({}, { set: state => state });
+			expect(() => r({}, { type: r.set.type, promise: Promise.resolve() }))
+				.toThrow(/has a value that can't be serialized at "action\.promise"/);
+		});
+
+		it('allows handlers that return new state', () => {
+			const b = new ActionizeBuild('todos', { strict: true, fsa: true });
+			const r = b.reducer([], { add: (state, text) => [ ...state, text ] });
+			expect(r([ 'a' ], { type: r.add.type, payload: 'b' })).toEqual([ 'a', 'b' ]);
+		});
+
+		it('does not check without the strict option', () => {
+			const b = new ActionizeBuild('todos');
+			const r = b.reducer({}, { set: state => Object.assign(state, { callback: () => null }) });
+			expect(() => r({}, { type: r.set.type })).toNotThrow();
+		});
+
+	});
+
+	describe('plugins', () => {
+
+		it('runs hooks around action handlers', () => {
+			const calls = [];
+			const plugin = {
+				beforeHandle: (state, action, meta) => calls.push([ 'before', state, action.type, meta ]),
+				afterHandle: (prevState, nextState, action, meta) => calls.push([ 'after', prevState, nextState, meta ])
+			};
+			const b = new ActionizeBuild('foo', { plugins: [ plugin ] });
+			const r = b.reducer(0, { inc: state => state + 1 });
+			expect(r(1, { type: r.inc.type })).toEqual(2);
+			expect(calls).toEqual([
+				[ 'before', 1, '|foo:inc', { name: 'foo', key: 'inc' } ],
+				[ 'after', 1, 2, { name: 'foo', key: 'inc' } ]
+			]);
+		});
+
+		it('gives the handle() key for external action types', () => {
+			const metas = [];
+			const b = new ActionizeBuild('foo', { plugins: [ { beforeHandle: (state, action, meta) => metas.push(meta) } ] });
+			const r = b.reducer(0, { [b.handle('|bar:baz')]: state => state });
+			r(0, { type: '|bar:baz' });
+			expect(metas).toEqual([ { name: 'foo', key: '|bar:baz' } ]);
+		});
+
+		it('calls onError and rethrows errors from handlers', () => {
+			const errors = [];
+			const afterHandle = expect.createSpy();
+			const b = new ActionizeBuild('foo', { plugins: [
+				{ onError: (err, action, meta) => errors.push([ err.message, action.type, meta ]) },
+				{ afterHandle }
+			] });
+			const r = b.reducer(0, { fail: () => { throw new Error('failed'); } });
+			expect(() => r(0, { type: r.fail.type })).toThrow('failed');
+			expect(errors).toEqual([ [ 'failed', '|foo:fail', { name: 'foo', key: 'fail' } ] ]);
+			expect(afterHandle).toNotHaveBeenCalled();
+		});
+
+		it('gives the whole action in FSA mode', () => {
+			const actions = [];
+			const b = new ActionizeBuild('foo', { fsa: true, plugins: [ { beforeHandle: (state, action) => actions.push(action) } ] });
+			const r = b.reducer(0, { set: (state, payload) => payload });
+			expect(r(0, { type: r.set.type, payload: 5 })).toEqual(5);
+			expect(actions).toEqual([ { type: r.set.type, payload: 5 } ]);
+		});
+
+		it('does not run hooks for unhandled actions', () => {
+			const beforeHandle = expect.createSpy();
+			const b = new ActionizeBuild('foo', { plugins: [ { beforeHandle } ] });
+			const r = b.reducer(0, { inc: state => state + 1 });
+			r(0, { type: 'other' });
+			expect(beforeHandle).toNotHaveBeenCalled();
+		});
+
+	});
+
+	describe('validate', () => {
+
+		it('attaches the schema to the action', () => {
+			const b = new ActionizeBuild('foo');
+			const schema = { text: 'string' };
+			const r = b.reducer(null, { a: b.validate(schema, (state, { text }) => text) });
+			expect(r.a.schema).toBe(schema);
+			expect(r(null, { type: r.a.type, text: 'bar' })).toEqual('bar');
+		});
+
+		it('throws an error for invalid payloads handled by the reducer', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.reducer(null, { a: b.validate({ text: 'string' }, (state, { text }) => text) });
+			expect(() => r(null, { type: r.a.type, txet: 'bar' })).toThrow(/"payload.text" is required/i);
+		});
+
+		it('checks external actions handled by the reducer', () => {
+			const b = new ActionizeBuild('foo');
+			const r1 = b.reducer(null, { a: () => 'a' });
+			const r2 = b.reducer(null, { [b.handle(r1.a)]: b.validate({ id: 'number' }, () => 'b') });
+			expect(() => r2(null, { type: r1.a.type })).toThrow(/"payload.id" is required/i);
+		});
+
+		it('keeps the state for invalid payloads reported in production', () => {
+			const env = process.env.NODE_ENV;
+			process.env.NODE_ENV = 'production';
+			const reported = [];
+			const b = new ActionizeBuild('foo', { onInvalidAction: (errors, type) => reported.push(type) });
+			const r = b.reducer(null, { a: b.validate({ text: 'string' }, (state, { text }) => text) });
+			try {
+				expect(r('given', { type: r.a.type })).toEqual('given');
+				expect(r('given', { type: r.a.type, text: 'bar' })).toEqual('bar');
+			} finally {
+				process.env.NODE_ENV = env;
+			}
+			expect(reported).toEqual([ r.a.type ]);
+		});
+
+		it('checks payloads that are not spread the same way as dispatchers', () => {
+			const a = new Actionize;
+			const r = a.define('foo', build => build.reducer(null, {
+				set: build.validate('string', (state, { payload }) => payload),
+				setAll: build.validate([ 'number' ], (state, { payload }) => payload)
+			}));
+			let state = null;
+			const d = a.dispatcher(r, action => state = r(state, action));
+			d.set('bar');
+			expect(state).toEqual('bar');
+			d.setAll([ 1, 2 ]);
+			expect(state).toEqual([ 1, 2 ]);
+			expect(() => r(null, { type: r.set.type, payload: 1 })).toThrow(/"payload" must be a string/);
+		});
+
+		it('checks object payloads with a payload key the same way as dispatchers', () => {
+			const a = new Actionize;
+			const r = a.define('msg', build => build.reducer(null, {
+				send: build.validate({ payload: 'string' }, (state, { payload }) => payload)
+			}));
+			let state = null;
+			const d = a.dispatcher(r, action => state = r(state, action));
+			d.send({ payload: 'hi' });
+			expect(state).toEqual('hi');
+			expect(() => d.send({ payload: 1 })).toThrow(/"payload.payload" must be a string/);
+		});
+
+		it('keeps the handler context', () => {
+			const b = new ActionizeBuild('foo', { context: () => ({ yo: 'sup' }) });
+			const r = b.reducer(null, { a: b.validate('any', function () { return this.yo; }) });
+			expect(r(null, { type: r.a.type })).toEqual('sup');
+		});
+
+		it('throws an error when handler is not a function', () => {
+			const b = new ActionizeBuild('foo');
+			expect(() => b.validate({}, 'not-a-function')).toThrow(/must be a function/i);
+		});
+
+	});
+
+	describe('ordering', () => {
+
+		const log = b => b.reducer('', {
+			add: state => state + 'own,',
+			[b.handle('|log:add')]: b.after(state => state + 'after,'),
+			[b.handle('|log:add', '|other:add')]: b.priority(5, state => state + 'p5,'),
+			[b.handle('|log:add') + b.handle('|x:y')]: b.before(state => state + 'before,'),
+			[b.handle('|log:add') + b.handle('|x:z')]: b.before(b.priority(1, state => state + 'before-p1,'))
+		});
+
+		it('runs handlers by phase, then priority, then given order', () => {
+			const b = new ActionizeBuild('log');
+			const r = log(b);
+			expect(r('', { type: r.add.type })).toEqual('before-p1,before,p5,own,after,');
+			expect(r('', { type: '|other:add' })).toEqual('p5,');
+		});
+
+		it('orders handlers for namespace action types', () => {
+			const b = new ActionizeBuild('log');
+			const r = b.reducer('', {
+				[b.handle('|todos.*')]: state => state + 'ns,',
+				[b.handle('|todos:add')]: b.priority(1, state => state + 'p1,'),
+				[b.handle('|todos:remove')]: b.before(state => state + 'before,')
+			});
+			expect(r('', { type: '|todos:add' })).toEqual('p1,ns,');
+			expect(r('', { type: '|todos:remove' })).toEqual('before,ns,');
+		});
+
+		it('stops the handlers after a handler that returns stop()', () => {
+			const b = new ActionizeBuild('log');
+			const r = b.reducer('', {
+				add: state => state + 'own,',
+				[b.handle('|log:add')]: b.before(state => state === 'locked' ? b.stop(state + ',stopped') : state)
+			});
+			expect(r('', { type: r.add.type })).toEqual('own,');
+			expect(r('locked', { type: r.add.type })).toEqual('locked,stopped');
+			expect(r('locked', { type: r.add.type })).toEqual('locked,stopped');
+		});
+
+		it('does not stop later actions when a handler is called directly', () => {
+			const b = new ActionizeBuild('counter');
+			const r = b.reducer(0, { inc: state => b.stop(state + 1) });
+			const action = { type: r.inc.type };
+			expect(r.inc(0, action)).toEqual(1);
+			expect(r(0, action)).toEqual(1);
+		});
+
+		it('stops the reducers composed after a reducer that stopped', () => {
+			const b = new ActionizeBuild('log');
+			const first = b.reducer('', { add: state => b.stop(state + 'first,') });
+			const second = new ActionizeBuild('second').reducer('', {
+				[b.handle(first.add)]: state => state + 'second,'
+			});
+			const action = { type: first.add.type };
+			expect(b.sequence(first, second)('', action)).toEqual('first,');
+			expect(b.sequence(second, first)('', action)).toEqual('second,first,');
+			const instances = new ActionizeBuild('items').keyed(b.sequence(first, second));
+			expect(instances({ a: '', b: '' }, action)).toEqual({ a: 'first,', b: 'first,' });
+		});
+
+		it('stops the handlers of each keyed instance on its own', () => {
+			const b = new ActionizeBuild('root');
+			const session = new ActionizeBuild('session').reducer(null, { reset: state => state });
+			const form = new ActionizeBuild('form').reducer('', {
+				edit: (state, { value }) => value,
+				[b.handle(session.reset)]: b.before(() => b.stop('')),
+				[b.handle(session.reset) + b.handle('|x:y')]: () => 'not stopped'
+			});
+			const c = b.combinePlain({ forms: new ActionizeBuild('forms').keyed(form), session });
+			const state = { forms: { a: 'x', b: 'y', c: 'z' }, session: null };
+			expect(c(state, { type: session.reset.type }).forms).toEqual({ a: '', b: '', c: '' });
+		});
+
+		it('orders composed reducers by the handlers they run', () => {
+			const b = new ActionizeBuild('root');
+			const first = new ActionizeBuild('first').reducer(0, { add: state => state + 1 });
+			const guard = new ActionizeBuild('guard').reducer(false, {
+				[b.handle(first.add)]: b.before(state => state ? b.stop(state) : state)
+			});
+			const c = b.combinePlain({ first, guarded: b.sequence(guard) });
+			expect(c({ first: 0, guarded: false }, { type: first.add.type }).first).toEqual(1);
+			expect(c({ first: 0, guarded: true }, { type: first.add.type }).first).toEqual(0);
+		});
+
+		it('calls combined reducers in the order of their handlers', () => {
+			const calls = [];
+			const b = new ActionizeBuild('root');
+			const first = new ActionizeBuild('first').reducer(0, { add: state => calls.push('first') && state + 1 });
+			const second = new ActionizeBuild('second').reducer(0, {
+				[b.handle(first.add)]: b.before(state => calls.push('second') && state + 1)
+			});
+			const third = new ActionizeBuild('third').reducer(0, {
+				[b.handle(first.add)]: b.priority(1, state => calls.push('third') && state + 1)
+			});
+			const c = b.combinePlain({ first, second, third });
+			const state = c({ first: 0, second: 0, third: 0 }, { type: first.add.type });
+			expect(calls).toEqual([ 'second', 'third', 'first' ]);
+			expect(Object.keys(state)).toEqual([ 'first', 'second', 'third' ]);
+			expect(state).toEqual({ first: 1, second: 1, third: 1 });
+		});
+
+		it('stops combined reducers', () => {
+			const b = new ActionizeBuild('root');
+			const first = new ActionizeBuild('first').reducer(0, { add: state => state + 1 });
+			const guard = new ActionizeBuild('guard').reducer(false, {
+				[b.handle(first.add)]: b.before(state => state ? b.stop(state) : state)
+			});
+			const c = b.combinePlain({ first, inner: b.combinePlain({ guard }) });
+			expect(c({ first: 0, inner: { guard: false } }, { type: first.add.type }).first).toEqual(1);
+			expect(c({ first: 0, inner: { guard: true } }, { type: first.add.type }).first).toEqual(0);
+		});
+
+		it('runs nested reducers first when their handlers come first', () => {
+			const b = new ActionizeBuild('parent');
+			const parent = b.reducer({ log: '' }, {
+				add: state => ({ ...state, log: state.log + 'parent,' }),
+				[b.handle('|child:add')]: state => ({ ...state, log: state.log + 'parent,' })
+			});
+			const child = new ActionizeBuild('child').reducer('', {
+				add: state => state + 'child,',
+				[b.handle(parent.add)]: b.before(state => state === 'locked' ? b.stop(state) : state + 'child,')
+			});
+			const n = b.nestPlain(parent, { child });
+			let state = n(undefined, { type: '@@INIT' });
+			state = n(state, { type: parent.add.type });
+			expect(state).toEqual({ log: 'parent,', child: 'child,' });
+			expect(n({ log: '', child: 'locked' }, { type: parent.add.type })).toEqual({ log: '', child: 'locked' });
+			expect(n(state, { type: child.add.type })).toEqual({ log: 'parent,parent,', child: 'child,child,' });
+		});
+
+		it('throws an error for priorities that are not numbers', () => {
+			const b = new ActionizeBuild('log');
+			expect(() => b.priority('high', state => state)).toThrow(/must be a number/);
+			expect(() => b.before(null)).toThrow('Handler given to before(handler) must be a function.');
+		});
+
+	});
+
+	describe('withError', () => {
+
+		it('gives error actions to the error handler in FSA mode', () => {
+			const b = new ActionizeBuild('foo', { fsa: true });
+			const r = b.reducer(null, {
+				a: b.withError((state, payload) => 'ok ' + payload, (state, error) => 'error ' + error.message)
+			});
+			expect(r(null, { type: r.a.type, payload: 'bar' })).toEqual('ok bar');
+			expect(r(null, { type: r.a.type, payload: new Error('bar'), error: true })).toEqual('error bar');
+		});
+
+		it('gives error actions to the action handler without an error handler', () => {
+			const b = new ActionizeBuild('foo', { fsa: true });
+			const r = b.reducer(null, { a: (state, payload) => payload });
+			const error = new Error('bar');
+			expect(r(null, { type: r.a.type, payload: error, error: true })).toBe(error);
+		});
+
+		it('does not check the schema of error actions', () => {
+			const b = new ActionizeBuild('foo', { fsa: true });
+			const r = b.reducer(null, {
+				a: b.validate({ text: 'string' }, b.withError((state, { text }) => text, () => 'error'))
+			});
+			expect(r.a.schema).toEqual({ text: 'string' });
+			expect(r(null, { type: r.a.type, payload: new Error('bar'), error: true })).toEqual('error');
+			expect(() => r(null, { type: r.a.type, payload: {} })).toThrow(/"payload.text" is required/i);
+		});
+
+		it('throws an error when error handler is not a function', () => {
+			const b = new ActionizeBuild('foo');
+			expect(() => b.withError(() => null, 'not-a-function')).toThrow(/must be a function/i);
+		});
+
+	});
+
+	describe('effect', () => {
+
+		it('creates namespaced lifecycle action types', () => {
+			const b = new ActionizeBuild('todos.list');
+			const e = b.effect('loadTodos', () => null);
+			expect(e).toBeA('function');
+			expect(e.pending.type).toEqual('|todos.list:loadTodos/pending');
+			expect(e.fulfilled.type).toEqual('|todos.list:loadTodos/fulfilled');
+			expect(e.rejected.type).toEqual('|todos.list:loadTodos/rejected');
+		});
+
+		it('throws an error when runner is not a function', () => {
+			const b = new ActionizeBuild('foo');
+			expect(() => b.effect('e', 'not-a-function')).toThrow(/must be a function/i);
+		});
+
+		it('is attached to the reducer without being handled as an action', () => {
+			const b = new ActionizeBuild('foo');
+			const e = b.effect('e', () => null);
+			const r = b.reducer('init', { e });
+			expect(r.e).toBe(e);
+			expect(r('given', { type: '|foo:e' })).toEqual('given');
+		});
+
+		it('dispatches pending and fulfilled actions', () => {
+			const b = new ActionizeBuild('foo');
+			const e = b.effect('e', (payload, { getState }) => Promise.resolve(payload.x + getState()));
+			const r = b.reducer('init', {
+				e,
+				[b.handle(e.pending)]: () => 'pending',
+				[b.handle(e.fulfilled)]: (state, { result }) => result
+			});
+			const states = [];
+			let state;
+			const dispatch = action => states.push(state = r(state, action));
+			return e({ x: 'x' }, { dispatch, getState: () => 'y' }).then(result => {
+				expect(result).toEqual('xy');
+				expect(states).toEqual([ 'pending', 'xy' ]);
+			});
+		});
+
+		it('dispatches a rejected action and rejects when the runner fails', () => {
+			const b = new ActionizeBuild('foo');
+			const e = b.effect('e', () => {
+				throw new Error('failed');
+			});
+			const dispatched = [];
+			return e({ x: 1 }, { dispatch: action => dispatched.push(action) }).then(() => {
+				throw new Error('Should not resolve.');
+			}, error => {
+				expect(error.message).toEqual('failed');
+				expect(dispatched.map(action => action.type)).toEqual([ e.pending.type, e.rejected.type ]);
+				expect(dispatched[1].error).toBe(error);
+				expect(dispatched[1].x).toEqual(1);
+			});
+		});
+
+		it('sets payloads that are not spread the same way for every stage', () => {
+			const b = new ActionizeBuild('foo');
+			const error = new Error('failed');
+			const e1 = b.effect('e1', payload => payload + 'd');
+			const e2 = b.effect('e2', () => Promise.reject(error));
+			const dispatched = [];
+			const dispatch = action => dispatched.push(action);
+			return e1('abc', { dispatch })
+				.then(() => e2([ 1 ], { dispatch }))
+				.then(() => {
+					throw new Error('Should not resolve.');
+				}, () => {
+					expect(dispatched).toEqual([
+						{ type: e1.pending.type, payload: 'abc' },
+						{ type: e1.fulfilled.type, payload: 'abc', result: 'abcd' },
+						{ type: e2.pending.type, payload: [ 1 ] },
+						{ type: e2.rejected.type, payload: [ 1 ], error }
+					]);
+				});
+		});
+
+		it('dispatches Flux Standard Actions in FSA mode', () => {
+			const b = new ActionizeBuild('foo', { fsa: true });
+			const error = new Error('failed');
+			const e1 = b.effect('e1', payload => payload + 1);
+			const e2 = b.effect('e2', () => Promise.reject(error));
+			const dispatched = [];
+			const dispatch = action => dispatched.push(action);
+			return e1(1, { dispatch })
+				.then(() => e2('x', { dispatch }))
+				.then(() => {
+					throw new Error('Should not resolve.');
+				}, () => {
+					expect(dispatched).toEqual([
+						{ type: e1.pending.type, payload: 1 },
+						{ type: e1.fulfilled.type, payload: 2, meta: { payload: 1 } },
+						{ type: e2.pending.type, payload: 'x' },
+						{ type: e2.rejected.type, payload: error, error: true, meta: { payload: 'x' } }
+					]);
+				});
+		});
+
+		it('is copied from the parent by nest', () => {
+			const b = new ActionizeBuild('foo');
+			const e = b.effect('e', () => null);
+			const r1 = b.reducer(null, { e });
+			const r2 = b.reducer(null, { a2: () => 'y' });
+			const c = b.nestPlain(r1, { r2 });
+			expect(c.e).toBe(e);
+		});
+
+	});
+
 	describe('handle', () => {
 
 		it('allows handling one external action', () => {
@@ -126,6 +728,744 @@ describe('ActionizeBuild', () => {
 
 	});
 
+	describe('handle namespaces', () => {
+
+		it('handles every action under a namespace', () => {
+			const b = new ActionizeBuild('log');
+			const r = b.reducer([], { [b.handle('|todos.*')]: (state, action) => [ ...state, action.type ] });
+			let state = r([], { type: '|todos:add' });
+			state = r(state, { type: '|todos.list:add' });
+			state = r(state, { type: '|todosOther:add' });
+			state = r(state, { type: 'todos.list' });
+			expect(state).toEqual([ '|todos:add', '|todos.list:add' ]);
+		});
+
+		it('calls handlers in the order they were given', () => {
+			const b = new ActionizeBuild('log');
+			const r = b.reducer('', {
+				[b.handle('|todos:add')]: state => state + 'a',
+				[b.handle('|todos.*')]: state => state + 'b',
+				[b.handle('|todos:add', '|other:add')]: state => state + 'c'
+			});
+			expect(r('', { type: '|todos:add' })).toEqual('abc');
+			expect(r('', { type: '|todos:add' })).toEqual('abc');
+			expect(r('', { type: '|other:add' })).toEqual('c');
+		});
+
+		it('does not know the handled types of reducers handling namespaces', () => {
+			const b = new ActionizeBuild('log');
+			const r = b.reducer([], { [b.handle('|todos.*')]: state => [ ...state, 1 ] });
+			expect(ActionizeBuild.handledTypes(r)).toBe(null);
+			const combined = b.combinePlain({ r, other: b.reducer(0, { inc: state => state + 1 }) });
+			expect(combined({ r: [], other: 0 }, { type: '|todos.list:add' })).toEqual({ r: [ 1 ], other: 0 });
+		});
+
+	});
+
+	describe('selectors', () => {
+
+		it('attaches selectors to the reducer', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.selectors(b.reducer([], {}), {
+				count: state => state.length,
+				at: (state, index) => state[index]
+			});
+			expect(r.selectors.count([ 'a', 'b' ])).toEqual(2);
+			expect(r.selectors.at([ 'a', 'b' ], 1)).toEqual('b');
+		});
+
+		it('memoizes by state and arguments', () => {
+			const b = new ActionizeBuild('foo');
+			let called = 0;
+			const r = b.selectors(b.reducer([], {}), {
+				filtered: (state, value) => {
+					called++;
+					return state.filter(item => item === value);
+				}
+			});
+			const state = [ 'a', 'b', 'a' ];
+			const result = r.selectors.filtered(state, 'a');
+			expect(result).toEqual([ 'a', 'a' ]);
+			expect(r.selectors.filtered(state, 'a')).toBe(result);
+			expect(called).toEqual(1);
+			expect(r.selectors.filtered(state, 'b')).toEqual([ 'b' ]);
+			expect(r.selectors.filtered([ 'b' ], 'b')).toEqual([ 'b' ]);
+			expect(called).toEqual(3);
+		});
+
+		it('lifts selectors to the state of combined reducers', () => {
+			const b = new ActionizeBuild('foo');
+			const list = b.selectors(b.reducer([], {}), { count: state => state.length });
+			const todos = b.combinePlain({ list });
+			const root = b.combinePlain({ todos });
+			const rootState = { todos: { list: [ 'a', 'b' ] } };
+			expect(root.todos.list.selectors.count(rootState)).toEqual(2);
+		});
+
+		it('lifts selectors to the state of nested reducers', () => {
+			const b = new ActionizeBuild('foo');
+			const child = b.selectors(b.reducer(null, {}), { value: state => state.value });
+			const parent = b.selectors(b.reducer({}, {}), { title: state => state.title });
+			const nested = b.nestPlain(parent, { child });
+			const root = b.combinePlain({ nested });
+			const rootState = { nested: { title: 'foo', child: { value: 'bar' } } };
+			expect(root.nested.selectors.title(rootState)).toEqual('foo');
+			expect(root.nested.child.selectors.value(rootState)).toEqual('bar');
+		});
+
+		it('lifts selectors to the state of Immutable reducers', () => {
+			const b = new ActionizeBuild('foo', { Immutable });
+			const list = b.selectors(b.reducer(Immutable.List(), {}), { count: state => state.size });
+			const root = b.combineImmutable({ todos: b.combineImmutable({ list }) });
+			const rootState = Immutable.fromJS({ todos: { list: [ 'a', 'b' ] } });
+			expect(root.todos.list.selectors.count(rootState)).toEqual(2);
+		});
+
+		it('throws an error when a reducer with selectors is combined into more than one reducer', () => {
+			const b = new ActionizeBuild('foo');
+			const list = b.selectors(b.reducer([], {}), { count: state => state.length });
+			const root = b.combinePlain({ list });
+			expect(root.list.selectors.count({ list: [ 'a' ] })).toEqual(1);
+			b.combinePlain({ other: list });
+			expect(() => list.selectors.count({ list: [ 'a' ] })).toThrow(/more than one reducer/i);
+		});
+
+		it('keeps picking from the same state when combined unmounted into another reducer', () => {
+			const b = new ActionizeBuild('foo');
+			const list = b.selectors(b.reducer([], { add: (state, { text }) => [ ...state, text ] }), {
+				count: state => state.length
+			});
+			b.combinePlain({ list });
+			const other = b.combinePlain({ other: ActionizeBuild.unmounted(list) });
+			expect(other({ other: [] }, { type: list.add.type, text: 'a' })).toEqual({ other: [ 'a' ] });
+			expect(list.selectors.count({ list: [ 'a', 'b' ] })).toEqual(2);
+		});
+
+		it('throws an error when a selector is not a function', () => {
+			const b = new ActionizeBuild('foo');
+			expect(() => b.selectors(b.reducer(null, {}), { x: 'not-a-function' })).toThrow(/must be a function/i);
+		});
+
+	});
+
+	describe('undoable', () => {
+
+		const counter = b => b.reducer(0, {
+			inc: state => state + 1,
+			dec: state => state - 1
+		});
+
+		it('creates namespaced history actions', () => {
+			const b = new ActionizeBuild('editor');
+			const r = b.undoable(counter(b));
+			expect(r.undo.type).toEqual('|editor:undo');
+			expect(r.redo.type).toEqual('|editor:redo');
+			expect(r.jump.type).toEqual('|editor:jump');
+			expect(r.clearHistory.type).toEqual('|editor:clearHistory');
+			expect(r.inc.type).toEqual('|editor:inc');
+		});
+
+		it('records, undoes and redoes state changes', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.undoable(counter(b));
+			let state = r(undefined, { type: '@@INIT' });
+			expect(state).toEqual({ past: [], present: 0, future: [] });
+			state = r(state, { type: r.inc.type });
+			state = r(state, { type: r.inc.type });
+			expect(state).toEqual({ past: [ 0, 1 ], present: 2, future: [] });
+			state = r(state, { type: r.undo.type });
+			expect(state).toEqual({ past: [ 0 ], present: 1, future: [ 2 ] });
+			state = r(state, { type: r.redo.type });
+			expect(state).toEqual({ past: [ 0, 1 ], present: 2, future: [] });
+			state = r(state, { type: r.undo.type });
+			state = r(state, { type: r.dec.type });
+			expect(state).toEqual({ past: [ 0, 1 ], present: 0, future: [] });
+		});
+
+		it('does not change state when there is nothing to undo or redo', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.undoable(counter(b));
+			const state = r(undefined, { type: '@@INIT' });
+			expect(r(state, { type: r.undo.type })).toBe(state);
+			expect(r(state, { type: r.redo.type })).toBe(state);
+			expect(r(state, { type: r.clearHistory.type })).toBe(state);
+			expect(r(state, { type: '|foo:unknown' })).toBe(state);
+		});
+
+		it('jumps through the history', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.undoable(counter(b));
+			let state = { past: [ 0, 1, 2 ], present: 3, future: [ 4, 5 ] };
+			state = r(state, { type: r.jump.type, payload: -2 });
+			expect(state).toEqual({ past: [ 0 ], present: 1, future: [ 2, 3, 4, 5 ] });
+			state = r(state, { type: r.jump.type, payload: 3 });
+			expect(state).toEqual({ past: [ 0, 1, 2, 3 ], present: 4, future: [ 5 ] });
+			expect(r(state, { type: r.jump.type, payload: 2 })).toBe(state);
+		});
+
+		it('jumps through the history in FSA mode', () => {
+			const b = new ActionizeBuild('foo', { fsa: true });
+			const r = b.undoable(counter(b));
+			const state = { past: [ 0, 1 ], present: 2, future: [] };
+			expect(r(state, { type: r.jump.type, payload: -2 })).toEqual({ past: [], present: 0, future: [ 1, 2 ] });
+		});
+
+		it('clears the history', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.undoable(counter(b));
+			const state = { past: [ 0, 1 ], present: 2, future: [ 3 ] };
+			expect(r(state, { type: r.clearHistory.type })).toEqual({ past: [], present: 2, future: [] });
+		});
+
+		it('limits the number of past states', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.undoable(counter(b), { limit: 2 });
+			let state = r(undefined, { type: '@@INIT' });
+			[ 1, 2, 3 ].forEach(() => state = r(state, { type: r.inc.type }));
+			expect(state).toEqual({ past: [ 1, 2 ], present: 3, future: [] });
+		});
+
+		it('only records actions given to filter', () => {
+			const b = new ActionizeBuild('foo');
+			const c = counter(b);
+			const r = b.undoable(c, { filter: c.inc });
+			let state = r(undefined, { type: '@@INIT' });
+			state = r(state, { type: r.inc.type });
+			state = r(state, { type: r.dec.type });
+			expect(state).toEqual({ past: [ 0 ], present: 0, future: [] });
+			const r2 = b.undoable(c, { filter: [ c.dec, c.inc.type ] });
+			expect(r2({ past: [], present: 0, future: [] }, { type: r.dec.type }).past).toEqual([ 0 ]);
+		});
+
+		it('records actions in namespaces given to filter', () => {
+			const b = new ActionizeBuild('editor.text');
+			const c = b.reducer(0, {
+				inc: state => state + 1,
+				[b.handle('|other:set')]: (state, { value }) => value
+			});
+			const r = b.undoable(c, { filter: '|editor.*' });
+			let state = r(undefined, { type: '@@INIT' });
+			state = r(state, { type: c.inc.type });
+			state = r(state, { type: '|other:set', value: 5 });
+			expect(state).toEqual({ past: [ 0 ], present: 5, future: [] });
+		});
+
+		it('throws an error when the reducer already has a history action', () => {
+			const b = new ActionizeBuild('foo');
+			expect(() => b.undoable(b.reducer(null, { undo: state => state }))).toThrow(/already has "undo"/i);
+		});
+
+		it('works with combined reducers and their selectors', () => {
+			const b = new ActionizeBuild('foo');
+			const a = b.selectors(b.reducer(0, { inc: state => state + 1 }), { double: state => state * 2 });
+			const r = b.combinePlain({ editor: b.undoable(b.combinePlain({ a })) });
+			let state = r(undefined, { type: '@@INIT' });
+			state = r(state, { type: r.editor.a.inc.type });
+			expect(state.editor.present).toEqual({ a: 1 });
+			expect(r.editor.a.selectors.double(state)).toEqual(2);
+			state = r(state, { type: r.editor.undo.type });
+			expect(state.editor.present).toEqual({ a: 0 });
+		});
+
+	});
+
+	describe('entities', () => {
+
+		const apply = (r, actions) => actions.reduce((state, [ key, payload ]) => r(state, { ...payload, type: r[key].type }), undefined);
+
+		it('creates namespaced collection actions', () => {
+			const b = new ActionizeBuild('todos');
+			const r = b.entities();
+			[ 'addOne', 'addMany', 'upsertMany', 'updateOne', 'removeOne', 'removeAll', 'setAll' ].forEach(key => {
+				expect(r[key].type).toEqual('|todos:' + key);
+			});
+			expect(r(undefined, { type: '@@INIT' })).toEqual({ byId: {}, allIds: [] });
+		});
+
+		it('removes entities by ids of other types', () => {
+			const b = new ActionizeBuild('todos');
+			const r = b.entities();
+			const state = apply(r, [ [ 'addOne', { entity: { id: 1 } } ], [ 'removeOne', { id: '1' } ] ]);
+			expect(state).toEqual({ byId: {}, allIds: [] });
+			expect(r.selectors.all(state)).toEqual([]);
+		});
+
+		it('adds entities that do not exist yet', () => {
+			const b = new ActionizeBuild('todos');
+			const r = b.entities();
+			const state = apply(r, [
+				[ 'addOne', { entity: { id: 1, text: 'a' } } ],
+				[ 'addMany', { entities: [ { id: 1, text: 'x' }, { id: 2, text: 'b' }, { id: 2, text: 'y' } ] } ]
+			]);
+			expect(state).toEqual({ byId: { 1: { id: 1, text: 'a' }, 2: { id: 2, text: 'b' } }, allIds: [ 1, 2 ] });
+			expect(r(state, { type: r.addOne.type, entity: { id: 1 } })).toBe(state);
+		});
+
+		it('upserts, updates and removes entities', () => {
+			const b = new ActionizeBuild('todos');
+			const r = b.entities();
+			let state = apply(r, [
+				[ 'setAll', { entities: [ { id: 1, text: 'a', done: false } ] } ],
+				[ 'upsertMany', { entities: [ { id: 1, done: true }, { id: 2, text: 'b' } ] } ],
+				[ 'updateOne', { id: 2, changes: { text: 'c' } } ]
+			]);
+			expect(state).toEqual({
+				byId: { 1: { id: 1, text: 'a', done: true }, 2: { id: 2, text: 'c' } },
+				allIds: [ 1, 2 ]
+			});
+			expect(r(state, { type: r.updateOne.type, id: 3, changes: {} })).toBe(state);
+			expect(r(state, { type: r.removeOne.type, id: 3 })).toBe(state);
+			state = r(state, { type: r.removeOne.type, id: 1 });
+			expect(state).toEqual({ byId: { 2: { id: 2, text: 'c' } }, allIds: [ 2 ] });
+			state = r(state, { type: r.removeAll.type });
+			expect(state).toEqual({ byId: {}, allIds: [] });
+			expect(r(state, { type: r.removeAll.type })).toBe(state);
+		});
+
+		it('uses the id key and sort comparer', () => {
+			const b = new ActionizeBuild('todos');
+			const r = b.entities({ idKey: 'key', sortComparer: (a, b) => a.text.localeCompare(b.text) });
+			const state = apply(r, [
+				[ 'addMany', { entities: [ { key: 'x', text: 'b' }, { key: 'y', text: 'a' } ] } ]
+			]);
+			expect(state.allIds).toEqual([ 'y', 'x' ]);
+		});
+
+		it('has selectors', () => {
+			const b = new ActionizeBuild('todos');
+			const r = b.entities();
+			const state = apply(r, [ [ 'addMany', { entities: [ { id: 1 }, { id: 2 } ] } ] ]);
+			expect(r.selectors.all(state)).toEqual([ { id: 1 }, { id: 2 } ]);
+			expect(r.selectors.ids(state)).toEqual([ 1, 2 ]);
+			expect(r.selectors.byId(state)).toEqual({ 1: { id: 1 }, 2: { id: 2 } });
+			expect(r.selectors.total(state)).toEqual(2);
+			expect(r.selectors.get(state, 2)).toEqual({ id: 2 });
+			expect(r.selectors.get(state, 'toString')).toNotExist();
+		});
+
+		it('works in FSA mode', () => {
+			const b = new ActionizeBuild('todos', { fsa: true });
+			const r = b.entities();
+			const state = r(undefined, { type: r.addOne.type, payload: { entity: { id: 1 } } });
+			expect(state).toEqual({ byId: { 1: { id: 1 } }, allIds: [ 1 ] });
+		});
+
+		it('works with Immutable structures', () => {
+			const b = new ActionizeBuild('todos', { Immutable });
+			const r = b.entities({ immutable: true });
+			let state = apply(r, [
+				[ 'addMany', { entities: [ { id: 1, text: 'a' }, { id: 2, text: 'b' } ] } ],
+				[ 'updateOne', { id: 1, changes: { text: 'c' } } ],
+				[ 'removeOne', { id: 2 } ]
+			]);
+			expect(Immutable.Map.isMap(state)).toEqual(true);
+			expect(state.toJS()).toEqual({ byId: { 1: { id: 1, text: 'c' } }, allIds: [ 1 ] });
+			expect(r.selectors.all(state).toJS()).toEqual([ { id: 1, text: 'c' } ]);
+			expect(r.selectors.total(state)).toEqual(1);
+		});
+
+		it('throws an error for Immutable structures without the Immutable option', () => {
+			const b = new ActionizeBuild('todos');
+			expect(() => b.entities({ immutable: true })).toThrow(/requires the Immutable option/i);
+		});
+
+	});
+
+	describe('machine', () => {
+
+		const upload = (b, options) => b.machine({
+			initial: 'idle',
+			context: { progress: 0, retries: 0 },
+			states: {
+				idle: { on: { start: 'loading' } },
+				loading: {
+					entry: context => ({ ...context, progress: 0 }),
+					exit: context => ({ ...context, progress: 100 }),
+					on: {
+						progress: { update: (context, { progress }) => ({ ...context, progress }) },
+						fail: 'failed',
+						done: 'idle'
+					}
+				},
+				failed: {
+					on: {
+						retry: {
+							target: 'loading',
+							guard: context => context.retries < 1,
+							update: context => ({ ...context, retries: context.retries + 1 })
+						}
+					}
+				}
+			},
+			...options
+		});
+
+		it('starts in the initial state', () => {
+			const m = upload(new ActionizeBuild('upload'));
+			expect(m(undefined, { type: '@@INIT' })).toEqual({ value: 'idle', context: { progress: 0, retries: 0 } });
+		});
+
+		it('adds an action for each event', () => {
+			const m = upload(new ActionizeBuild('upload'));
+			expect(Object.keys(m).sort()).toEqual([ 'done', 'fail', 'progress', 'retry', 'selectors', 'start' ]);
+			expect(m.start.type).toEqual('|upload:start');
+			const a = new Actionize;
+			const dispatched = [];
+			a.dispatcher(a.define('upload', upload), action => dispatched.push(action)).start();
+			expect(dispatched).toEqual([ { type: '|upload:start' } ]);
+			expect(a.handler('|upload:start')).toBe(a.get('upload').start);
+		});
+
+		it('makes transitions with entry and exit hooks', () => {
+			const m = upload(new ActionizeBuild('upload'));
+			let state = { value: 'idle', context: { progress: 50, retries: 0 } };
+			state = m(state, { type: m.start.type });
+			expect(state).toEqual({ value: 'loading', context: { progress: 0, retries: 0 } });
+			state = m(state, { type: m.progress.type, progress: 30 });
+			expect(state).toEqual({ value: 'loading', context: { progress: 30, retries: 0 } });
+			state = m(state, { type: m.done.type });
+			expect(state).toEqual({ value: 'idle', context: { progress: 100, retries: 0 } });
+		});
+
+		it('ignores actions that are not valid in the current state', () => {
+			const warnings = [];
+			const m = upload(new ActionizeBuild('upload'), { warn: message => warnings.push(message) });
+			const state = m(undefined, { type: '@@INIT' });
+			expect(m(state, { type: m.done.type })).toBe(state);
+			expect(warnings).toEqual([ 'Action "done" of machine "upload" is not valid in state "idle".' ]);
+		});
+
+		it('only makes transitions that pass their guard', () => {
+			const m = upload(new ActionizeBuild('upload'));
+			let state = m({ value: 'failed', context: { progress: 10, retries: 0 } }, { type: m.retry.type });
+			expect(state).toEqual({ value: 'loading', context: { progress: 0, retries: 1 } });
+			state = m(state, { type: m.fail.type });
+			expect(m(state, { type: m.retry.type })).toBe(state);
+		});
+
+		it('gives hooks the payload in FSA mode', () => {
+			const b = new ActionizeBuild('counter', { fsa: true });
+			const m = b.machine({
+				initial: 'on',
+				context: 0,
+				states: { on: { on: { add: { update: (context, amount) => context + amount } } } }
+			});
+			expect(m(undefined, { type: m.add.type, payload: 2 })).toEqual({ value: 'on', context: 2 });
+		});
+
+		it('matches the current state', () => {
+			const b = new ActionizeBuild('root');
+			const m = upload(new ActionizeBuild('upload'));
+			const root = b.combinePlain({ upload: m });
+			const state = root(undefined, { type: '@@INIT' });
+			expect(m.selectors.matches(state, 'idle')).toBe(true);
+			expect(m.selectors.matches(root(state, { type: m.start.type }), 'idle')).toBe(false);
+			expect(m.selectors.matches(root(state, { type: m.start.type }), 'loading')).toBe(true);
+		});
+
+		it('throws errors for invalid states', () => {
+			const b = new ActionizeBuild('upload');
+			expect(() => b.machine({ initial: 'idle', states: {} }))
+				.toThrow('Initial state given to machine(options) must be one of its states.');
+			expect(() => b.machine({ initial: 'idle', states: { idle: { on: { start: 'loading' } } } }))
+				.toThrow('Target "loading" of "start" in state "idle" is not a state.');
+			expect(() => b.machine({ initial: 'idle', states: { idle: { on: { start: 1 } } } }))
+				.toThrow(/must be a string or an object/);
+			expect(() => b.machine({ initial: 'idle', states: { idle: {} }, warn: true }))
+				.toThrow('Warn option given to machine(options) must be a function.');
+		});
+
+	});
+
+	describe('keyed', () => {
+
+		const form = b => b.reducer({ dirty: false }, {
+			setField: (state, { name, value }) => ({ ...state, dirty: true, [name]: value }),
+			reset: () => ({ dirty: false })
+		});
+
+		it('creates instances lazily by key', () => {
+			const b = new ActionizeBuild('forms');
+			const r = b.keyed(form(b), { keyFrom: action => action.id });
+			let state = r(undefined, { type: '@@INIT' });
+			expect(state).toEqual({});
+			state = r(state, { type: r.setField.type, id: 'a', name: 'title', value: 'foo' });
+			state = r(state, { type: r.reset.type, id: 'b' });
+			expect(state).toEqual({ a: { dirty: true, title: 'foo' }, b: { dirty: false } });
+			expect(r(state, { type: 'other', id: 'c' })).toBe(state);
+			expect(r(state, { type: 'other', id: 'a' })).toBe(state);
+		});
+
+		it('prefers the key from the action meta', () => {
+			const b = new ActionizeBuild('forms');
+			const r = b.keyed(form(b), { keyFrom: action => action.id });
+			const state = r(undefined, { type: r.reset.type, id: 'a', meta: { key: 'b' } });
+			expect(state).toEqual({ b: { dirty: false } });
+		});
+
+		it('gives actions without a key to every instance', () => {
+			const b = new ActionizeBuild('forms');
+			const r = b.keyed(form(b));
+			let state = { a: { dirty: true }, b: { dirty: false } };
+			state = r(state, { type: r.reset.type });
+			expect(state).toEqual({ a: { dirty: false }, b: { dirty: false } });
+		});
+
+		it('removes instances', () => {
+			const b = new ActionizeBuild('forms');
+			const r = b.keyed(form(b), { keyFrom: action => action.id });
+			const state = { a: { dirty: false }, b: { dirty: false } };
+			expect(r.removeInstance.type).toEqual('|forms:removeInstance');
+			expect(r(state, { type: r.removeInstance.type, id: 'a' })).toEqual({ b: { dirty: false } });
+			expect(r(state, { type: r.removeInstance.type, id: 'c' })).toBe(state);
+			expect(r(state, { type: r.removeInstance.type })).toBe(state);
+		});
+
+		it('removes instances in FSA mode', () => {
+			const b = new ActionizeBuild('forms', { fsa: true });
+			const r = b.keyed(form(b));
+			const state = r({ a: { dirty: false } }, { type: r.removeInstance.type, meta: { key: 'a' } });
+			expect(state).toEqual({});
+		});
+
+		it('exposes its handled action types', () => {
+			const b = new ActionizeBuild('forms');
+			const r = b.keyed(form(b));
+			expect(ActionizeBuild.isKeyed(r)).toEqual(true);
+			expect(ActionizeBuild.handledTypes(r)).toEqual({
+				'|forms:setField': true,
+				'|forms:reset': true,
+				'|forms:removeInstance': true
+			});
+		});
+
+		it('works in combined reducers', () => {
+			const b = new ActionizeBuild('forms');
+			const forms = b.keyed(form(b));
+			const r = b.combinePlain({ forms, other: b.reducer(0, {}) });
+			const state = r(undefined, { type: forms.reset.type, meta: { key: 1 } });
+			expect(state).toEqual({ forms: { 1: { dirty: false } }, other: 0 });
+		});
+
+		it('throws an error if the reducer already has a removeInstance action', () => {
+			const b = new ActionizeBuild('forms');
+			expect(() => b.keyed(b.reducer({}, { removeInstance: () => ({}) }))).toThrow(/already has "removeInstance"/);
+		});
+
+	});
+
+	describe('persist', () => {
+
+		const settings = b => b.reducer({ theme: 'light' }, {
+			setTheme: (state, { theme }) => ({ ...state, theme })
+		});
+
+		const onError = error => {
+			throw error;
+		};
+
+		const createStore = (reducer, middleware) => {
+			let state = reducer(undefined, { type: '@@INIT' });
+			const store = { getState: () => state, dispatch: action => dispatch(action) };
+			const dispatch = middleware(store)(action => {
+				state = reducer(state, action);
+				return action;
+			});
+			return store;
+		};
+
+		it('rehydrates the stored state', () => {
+			const storage = new ActionizeMemoryStorage({ settings: JSON.stringify({ version: 0, state: { theme: 'dark' } }) });
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(settings(b), { storage, onError });
+			let state = r(undefined, { type: '@@INIT' });
+			expect(state).toEqual({ theme: 'light' });
+			return r.rehydrate(undefined, { dispatch: action => state = r(state, action) }).then(restored => {
+				expect(restored).toEqual({ theme: 'dark' });
+				expect(state).toEqual({ theme: 'dark' });
+			});
+		});
+
+		it('writes the state once it has been rehydrated', () => {
+			const storage = new ActionizeMemoryStorage;
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(settings(b), { storage, onError, key: 'app', version: 3 });
+			const store = createStore(r, r.persistence.middleware());
+			store.dispatch({ type: r.setTheme.type, theme: 'blue' });
+			expect(storage.getItem('app')).toBe(null);
+			return r.rehydrate(undefined, store).then(() => {
+				expect(store.getState()).toEqual({ theme: 'blue' });
+				store.dispatch({ type: r.setTheme.type, theme: 'dark' });
+				expect(JSON.parse(storage.getItem('app'))).toEqual({ version: 3, state: { theme: 'dark' } });
+				storage.setItem('app', 'unchanged');
+				store.dispatch({ type: 'other' });
+				expect(storage.getItem('app')).toEqual('unchanged');
+			});
+		});
+
+		it('does not write the state of a store that has not been rehydrated', () => {
+			const storage = new ActionizeMemoryStorage;
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(settings(b), { storage, onError });
+			const first = createStore(r, r.persistence.middleware());
+			return r.rehydrate(undefined, first).then(() => {
+				first.dispatch({ type: r.setTheme.type, theme: 'dark' });
+				const second = createStore(r, r.persistence.middleware());
+				second.dispatch({ type: r.setTheme.type, theme: 'blue' });
+				expect(JSON.parse(storage.getItem('settings')).state).toEqual({ theme: 'dark' });
+				expect(r(undefined, { type: r.setTheme.type, theme: 'red' })).toEqual({ theme: 'red' });
+				expect(JSON.parse(storage.getItem('settings')).state).toEqual({ theme: 'dark' });
+			});
+		});
+
+		it('writes the state of reducers combined into the store', () => {
+			const storage = new ActionizeMemoryStorage;
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(settings(b), { storage, onError });
+			const root = b.combinePlain({ app: b.combinePlain({ settings: r }) });
+			const store = createStore(root, r.persistence.middleware());
+			return r.rehydrate(undefined, store).then(() => {
+				store.dispatch({ type: r.setTheme.type, theme: 'dark' });
+				expect(JSON.parse(storage.getItem('settings')).state).toEqual({ theme: 'dark' });
+			});
+		});
+
+		it('passes errors writing to the storage to onError', () => {
+			const errors = [];
+			const storage = {
+				getItem: () => null,
+				setItem: () => {
+					throw new Error('Quota exceeded.');
+				}
+			};
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(settings(b), { storage, onError: error => errors.push(error.message) });
+			const store = createStore(r, r.persistence.middleware());
+			return r.rehydrate(undefined, store).then(() => {
+				store.dispatch({ type: r.setTheme.type, theme: 'dark' });
+				expect(store.getState()).toEqual({ theme: 'dark' });
+				expect(errors).toEqual([ 'Quota exceeded.' ]);
+			});
+		});
+
+		it('migrates state stored with older versions', () => {
+			const stored = { version: 1, state: { dark: true } };
+			const storage = new ActionizeMemoryStorage({ settings: JSON.stringify(stored) });
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(settings(b), {
+				storage,
+				onError,
+				version: 3,
+				migrate: {
+					1: () => { throw new Error('Migration not expected.'); },
+					2: state => ({ theme: state.dark ? 'dark' : 'light' }),
+					3: state => ({ ...state, migrated: true })
+				}
+			});
+			const store = createStore(r, r.persistence.middleware());
+			return r.rehydrate(undefined, store).then(() => {
+				expect(store.getState()).toEqual({ theme: 'dark', migrated: true });
+				expect(JSON.parse(storage.getItem('settings')).version).toEqual(3);
+			});
+		});
+
+		it('migrates with a function', () => {
+			const storage = new ActionizeMemoryStorage({ settings: JSON.stringify({ state: 'dark' }) });
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(settings(b), {
+				storage,
+				onError,
+				version: 1,
+				migrate: (state, version) => ({ theme: state, version })
+			});
+			return r.rehydrate(undefined, { dispatch: () => null }).then(restored => {
+				expect(restored).toEqual({ theme: 'dark', version: 0 });
+			});
+		});
+
+		it('uses custom serialization and async storage', () => {
+			const items = {};
+			const storage = {
+				getItem: key => Promise.resolve(items[key]),
+				setItem: (key, value) => items[key] = value
+			};
+			const b = new ActionizeBuild('settings', { fsa: true });
+			const r = b.persist(b.reducer('light', { setTheme: (state, theme) => theme }), {
+				storage,
+				onError,
+				serialize: item => item.version + ':' + item.state,
+				deserialize: item => ({ version: Number(item.split(':')[0]), state: item.split(':')[1] })
+			});
+			const store = createStore(r, r.persistence.middleware());
+			return r.rehydrate(undefined, store).then(restored => {
+				expect(restored).toBe(undefined);
+				expect(store.getState()).toEqual('light');
+				store.dispatch({ type: r.setTheme.type, payload: 'dark' });
+				expect(items.settings).toEqual('0:dark');
+				return r.rehydrate(undefined, store);
+			}).then(restored => {
+				expect(restored).toEqual('dark');
+			});
+		});
+
+		it('works with Immutable structures', () => {
+			const storage = new ActionizeMemoryStorage({ settings: JSON.stringify({ version: 0, state: { theme: 'dark' } }) });
+			const b = new ActionizeBuild('settings', { Immutable });
+			const r = b.persist(b.reducer(Immutable.Map({ theme: 'light' }), {
+				setTheme: (state, { theme }) => state.set('theme', theme)
+			}), { storage, onError });
+			const store = createStore(r, r.persistence.middleware());
+			return r.rehydrate(undefined, store).then(() => {
+				expect(Immutable.Map.isMap(store.getState())).toBe(true);
+				expect(store.getState().get('theme')).toEqual('dark');
+				store.dispatch({ type: r.setTheme.type, theme: 'blue' });
+				expect(JSON.parse(storage.getItem('settings')).state).toEqual({ theme: 'blue' });
+			});
+		});
+
+		it('keeps the state when rehydrating fails', () => {
+			const storage = new ActionizeMemoryStorage({ settings: 'not json' });
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(settings(b), { storage, onError });
+			const store = createStore(r, r.persistence.middleware());
+			return r.rehydrate(undefined, store).then(() => {
+				throw new Error('Rehydrating should fail.');
+			}, () => {
+				expect(store.getState()).toEqual({ theme: 'light' });
+				store.dispatch({ type: r.setTheme.type, theme: 'dark' });
+				expect(JSON.parse(storage.getItem('settings')).state).toEqual({ theme: 'dark' });
+			});
+		});
+
+		it('keeps the actions, selectors and handled types of the reducer', () => {
+			const b = new ActionizeBuild('settings');
+			const r = b.persist(b.selectors(settings(b), { theme: state => state.theme }), {
+				storage: new ActionizeMemoryStorage,
+				onError
+			});
+			expect(r.setTheme.type).toEqual('|settings:setTheme');
+			expect(r.rehydrate.fulfilled.type).toEqual('|settings:rehydrate/fulfilled');
+			expect(r.selectors.theme({ theme: 'dark' })).toEqual('dark');
+			expect(ActionizeBuild.handledTypes(r)).toEqual({
+				'|settings:setTheme': true,
+				'|settings:rehydrate/fulfilled': true,
+				'|settings:rehydrate/rejected': true
+			});
+		});
+
+		it('throws errors for missing options and conflicting keys', () => {
+			const b = new ActionizeBuild('settings');
+			expect(() => b.persist(settings(b))).toThrow(/requires a storage/);
+			const storage = new ActionizeMemoryStorage;
+			expect(() => b.persist(settings(b), { storage })).toThrow(/requires an onError function/);
+			expect(() => b.persist(b.reducer({}, { rehydrate: state => state }), { storage, onError }))
+				.toThrow(/already has "rehydrate"/);
+			expect(() => b.persist(b.reducer({}, { persistence: state => state }), { storage, onError }))
+				.toThrow(/already has "persistence"/);
+		});
+
+	});
+
 	describe('combine', () => {
 
 		it('combines reducers correctly', () => {
@@ -146,6 +1486,109 @@ describe('ActionizeBuild', () => {
 			expect(c(state, { type: '|bar:x' })).toBe(state);
 		});
 
+		it('only calls reducers that handle the action type', () => {
+			const b = new ActionizeBuild('foo');
+			const calls = [];
+			const spy = (key, reducer) => {
+				const spied = (state, action) => {
+					calls.push(key);
+					return reducer(state, action);
+				};
+				ActionizeBuild.setHandledTypes(spied, ActionizeBuild.handledTypes(reducer));
+				return spied;
+			};
+			const r1 = b.reducer(null, { a1: () => 'r1a1' });
+			const r2 = b.reducer(null, { a2: () => 'r2a2', [b.handle(r1.a1)]: () => 'r2a1' });
+			const r3 = b.reducer(null, { a3: () => 'r3a3' });
+			const c = b.combinePlain({ r1: spy('r1', r1), r2: spy('r2', r2), r3: spy('r3', r3) });
+			const state = { r1: null, r2: null, r3: 'r3' };
+			expect(c(state, { type: r1.a1.type })).toEqual({ r1: 'r1a1', r2: 'r2a1', r3: 'r3' });
+			expect(calls).toEqual([ 'r1', 'r2' ]);
+			expect(c(state, { type: '|foo:unknown' })).toBe(state);
+			expect(calls).toEqual([ 'r1', 'r2' ]);
+		});
+
+		it('always calls reducers that do not expose their action types', () => {
+			const b = new ActionizeBuild('foo');
+			const r1 = b.reducer(null, { a1: () => 'r1a1' });
+			const r2 = (state, action) => action.type;
+			const c = b.combinePlain({ r1, r2 });
+			expect(ActionizeBuild.handledTypes(c)).toEqual(null);
+			expect(c({ r1: null, r2: null }, { type: r1.a1.type })).toEqual({ r1: 'r1a1', r2: r1.a1.type });
+		});
+
+		it('calls every reducer for other action types', () => {
+			const b = new ActionizeBuild('foo');
+			const r1 = b.reducer('r1', {});
+			const r2 = b.reducer('r2', {});
+			const c = b.combinePlain({ r1, r2 });
+			expect(c({ r1: 'x' }, { type: '@@redux/INIT' })).toEqual({ r1: 'x', r2: 'r2' });
+			expect(c(undefined, { type: '|foo:x' })).toEqual({ r1: 'r1', r2: 'r2' });
+		});
+
+		it('calls every reducer when indexTypes is false', () => {
+			const b = new ActionizeBuild('foo', { indexTypes: false });
+			const r1 = b.reducer(null, { a1: () => 'r1a1' });
+			const r2 = b.reducer('r2', {});
+			const c = b.combinePlain({ r1, r2 });
+			expect(c({ r1: null }, { type: r1.a1.type })).toEqual({ r1: 'r1a1', r2: 'r2' });
+		});
+
+		it('exposes the action types handled by its reducers', () => {
+			const b = new ActionizeBuild('foo');
+			const r1 = b.reducer(null, { a1: () => 'r1a1' });
+			const r2 = b.reducer(null, { a2: () => 'r2a2', [b.handle('|bar:x')]: () => 'x' });
+			expect(ActionizeBuild.handledTypes(b.combinePlain({ r1, r2 }))).toEqual({
+				'|foo:a1': true,
+				'|foo:a2': true,
+				'|bar:x': true
+			});
+			expect(ActionizeBuild.handledTypes(b.nestPlain(r1, { r2 }))).toEqual({
+				'|foo:a1': true,
+				'|foo:a2': true,
+				'|bar:x': true
+			});
+		});
+
+		it('only calls the reducers that handle the action type in large reducer trees', () => {
+			const run = indexTypes => {
+				const b = new ActionizeBuild('tree', { indexTypes });
+				const groups = {};
+				const types = [];
+				let calls = 0;
+				for (let group = 0; group < 30; group++) {
+					const reducers = {};
+					for (let item = 0; item < 10; item++) {
+						const r = b.reducer(0, {
+							['inc' + group + '_' + item]: state => state + 1,
+							['dec' + group + '_' + item]: state => state - 1
+						});
+						const counted = (state, action) => {
+							calls++;
+							return r(state, action);
+						};
+						ActionizeBuild.setHandledTypes(counted, ActionizeBuild.handledTypes(r));
+						types.push(r['inc' + group + '_' + item].type);
+						reducers['r' + item] = counted;
+					}
+					groups['g' + group] = b.combinePlain(reducers);
+				}
+				const root = b.combinePlain(groups);
+				let state = root(undefined, { type: '@@INIT' });
+				calls = 0;
+				for (let i = 0; i < 600; i++) {
+					state = root(state, { type: types[i % types.length] });
+				}
+				return { calls, state };
+			};
+
+			const naive = run(false);
+			const indexed = run(true);
+			expect(indexed.state).toEqual(naive.state);
+			expect(naive.calls).toEqual(600 * 300);
+			expect(indexed.calls).toEqual(600);
+		});
+
 	});
 
 
@@ -238,6 +1681,16 @@ describe('ActionizeBuild', () => {
 			expect(c({ r1v: 'r1a1' }, { type: r2.a2.type })).toEqual({ r1v: 'r1a1', r2: { r2v: 'r2a2' } });
 		});
 
+		it('calls every nested reducer when the parent changes its state', () => {
+			const b = new ActionizeBuild('foo');
+			const r1 = b.reducer(null, { a1: () => ({ r1v: 'r1a1' }) });
+			const r2 = b.reducer('r2', { a2: () => 'r2a2' });
+			const c = b.nestPlain(r1, { r2 });
+			const state = { r1v: 'x', r2: 'y' };
+			expect(c(state, { type: r1.a1.type })).toEqual({ r1v: 'r1a1', r2: 'r2' });
+			expect(c(state, { type: r2.a2.type })).toEqual({ r1v: 'x', r2: 'r2a2' });
+		});
+
 		it('does not copy non-actions from parent to new reducer', () => {
 			const b = new ActionizeBuild('foo');
 			const r1 = b.reducer(null, { a1: state => 'x' });
@@ -257,6 +1710,127 @@ describe('ActionizeBuild', () => {
 
 	});
 
+	describe('sequence', () => {
+
+		it('passes the state through the reducers in order', () => {
+			const b = new ActionizeBuild('foo');
+			const list = b.reducer({ items: [] }, { add: (state, { text }) => ({ ...state, items: [ ...state.items, text ] }) });
+			const stats = state => state.count === state.items.length
+				? state
+				: { ...state, count: state.items.length };
+			const s = b.sequence(list, stats);
+			const state = s(undefined, { type: '@@INIT' });
+			expect(state).toEqual({ items: [], count: 0 });
+			expect(s(state, { type: list.add.type, text: 'x' })).toEqual({ items: [ 'x' ], count: 1 });
+			expect(s(state, { type: 'OTHER' })).toBe(state);
+		});
+
+		it('copies the actions and child reducers of the reducers', () => {
+			const b = new ActionizeBuild('foo');
+			const r1 = b.reducer(0, { a1: state => state + 1 });
+			const r2 = b.combinePlain({ child: b.reducer(0, { a2: state => state + 2 }) });
+			r1.noCopy = function () { };
+			const s = b.sequence(r1, r2);
+			expect(s.a1).toBe(r1.a1);
+			expect(s.child).toBe(r2.child);
+			expect(s.noCopy).toNotExist();
+			expect(ActionizeBuild.handledTypes(s)).toEqual({ [r1.a1.type]: true, [r2.child.a2.type]: true });
+			const a = new Actionize;
+			const dispatched = [];
+			a.dispatcher(a.define('seq', () => s), action => dispatched.push(action)).child.a2();
+			expect(dispatched).toEqual([ { type: r2.child.a2.type } ]);
+		});
+
+		it('throws errors for action keys given by more than one reducer', () => {
+			const b = new ActionizeBuild('foo');
+			const r1 = b.reducer(0, { a: state => state });
+			const r2 = new ActionizeBuild('bar').reducer(0, { a: state => state });
+			expect(() => b.sequence(r1, r2)).toThrow('Reducers given to sequence(...reducers) both have "a".');
+			expect(() => b.sequence(r1, null)).toThrow(/must be functions/);
+		});
+
+		it('keeps the selectors of the reducers', () => {
+			const b = new ActionizeBuild('foo');
+			const r1 = b.selectors(b.reducer([ 1, 2 ], {}), { first: state => state[0] });
+			const r2 = b.selectors(b.reducer([], {}), { total: state => state.length });
+			const c = b.combinePlain({ s: b.sequence(r1, r2) });
+			const state = c(undefined, { type: '@@INIT' });
+			expect(c.s.selectors.first(state)).toEqual(1);
+			expect(c.s.selectors.total(state)).toEqual(2);
+		});
+
+	});
+
+	describe('branch', () => {
+
+		it('picks the reducer with the predicate', () => {
+			const b = new ActionizeBuild('foo');
+			const viewing = b.reducer({ mode: 'view', text: '' }, { edit: state => ({ ...state, mode: 'edit' }) });
+			const editing = b.reducer(null, {
+				type: (state, { text }) => ({ ...state, text }),
+				save: state => ({ ...state, mode: 'view' })
+			});
+			const r = b.branch(state => !!state && state.mode === 'edit', editing, viewing);
+			let state = r(undefined, { type: '@@INIT' });
+			expect(state).toEqual({ mode: 'view', text: '' });
+			expect(r(state, { type: editing.type.type, text: 'x' })).toBe(state);
+			state = r(state, { type: viewing.edit.type });
+			state = r(state, { type: editing.type.type, text: 'x' });
+			expect(state).toEqual({ mode: 'edit', text: 'x' });
+			expect(r(state, { type: editing.save.type })).toEqual({ mode: 'view', text: 'x' });
+			expect(r.edit).toBe(viewing.edit);
+			expect(r.save).toBe(editing.save);
+		});
+
+		it('throws an error for a predicate that is not a function', () => {
+			const b = new ActionizeBuild('foo');
+			const r = b.reducer(null, {});
+			expect(() => b.branch(null, r, r)).toThrow(/Predicate given to branch/);
+		});
+
+	});
+
+	describe('reset', () => {
+
+		it('returns to the initial state on the given actions', () => {
+			const session = new ActionizeBuild('session').reducer(null, { logout: () => null });
+			const b = new ActionizeBuild('todos');
+			const todos = b.reducer([], {
+				add: (state, { text }) => [ ...state, text ],
+				[b.handle(session.logout)]: state => [ ...state, 'logged out' ]
+			});
+			const r = b.reset(todos, [ session.logout ]);
+			const state = r([ 'x' ], { type: todos.add.type, text: 'y' });
+			expect(state).toEqual([ 'x', 'y' ]);
+			expect(r(state, { type: session.logout.type })).toEqual([ 'logged out' ]);
+			expect(r.add).toBe(todos.add);
+			expect(ActionizeBuild.handledTypes(r)).toEqual({ [todos.add.type]: true, [session.logout.type]: true });
+		});
+
+		it('resets on namespace action types', () => {
+			const b = new ActionizeBuild('todos');
+			const todos = b.reducer([], { add: (state, { text }) => [ ...state, text ] });
+			const r = b.reset(todos, '|session.*');
+			expect(r([ 'x' ], { type: '|session.auth:logout' })).toEqual([]);
+			expect(r([ 'x' ], { type: '|sessions:logout' })).toEqual([ 'x' ]);
+			expect(ActionizeBuild.handledTypes(r)).toBe(null);
+		});
+
+		it('is reset when combined', () => {
+			const a = new Actionize;
+			const session = a.define('session', build => build.reducer(null, { logout: () => null }));
+			const root = a.define('root', build => build.combinePlain({
+				todos: build.reset(build.reducer([ 'a' ], { add: (state, { text }) => [ ...state, text ] }), session),
+				session
+			}));
+			const state = root(undefined, { type: '@@INIT' });
+			const added = root(state, { type: root.todos.add.type, text: 'b' });
+			expect(added.todos).toEqual([ 'a', 'b' ]);
+			expect(root(added, { type: session.logout.type }).todos).toEqual([ 'a' ]);
+		});
+
+	});
+
 	describe('nestPlain', () => {
 
 		it('nests reducers correctly', () => {
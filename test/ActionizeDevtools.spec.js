@@ -0,0 +1,124 @@
+import expect from 'expect';
+import Actionize from '../src/Actionize';
+import ActionizeDevtools from '../src/ActionizeDevtools';
+
+/**
+ * A minimal stand-in for the Redux DevTools extension.
+ *
+ * @returns {Object} The extension, with the messages sent to it as `sent` and a `message` function to send messages
+ * from the DevTools.
+ */
+function createExtension() {
+	const extension = { sent: [], errors: [], listeners: [] };
+	extension.connect = options => {
+		extension.options = options;
+		return {
+			init: state => extension.sent.push([ 'init', state ]),
+			send: (action, state) => extension.sent.push([ action, state ]),
+			error: message => extension.errors.push(message),
+			subscribe: listener => extension.listeners.push(listener)
+		};
+	};
+	extension.message = message => extension.listeners.forEach(listener => listener(message));
+	return extension;
+}
+
+/**
+ * Apply a middleware to a minimal stand-in for a Redux store.
+ *
+ * @param {Function} reducer    The reducer.
+ * @param {Function} middleware The middleware.
+ *
+ * @returns {Object} The store.
+ */
+function createStore(reducer, middleware) {
+	let state = reducer(undefined, { type: '@@redux/INIT' });
+	const store = {
+		getState: () => state,
+		dispatch: action => state = reducer(state, action)
+	};
+	store.dispatch = middleware(store)(store.dispatch);
+	return store;
+}
+
+describe('ActionizeDevtools', () => {
+
+	const defineTodos = a => a.define('todos.list', build => build.reducer([], {
+		add: (state, { text }) => [ ...state, text ]
+	}));
+
+	it('formats action types by reducer name', () => {
+		const devtools = new Actionize().devtools();
+		expect(devtools.formatType('|todos.list:add')).toEqual('[todos.list] add');
+		expect(devtools.formatType('|todos:load/pending')).toEqual('[todos] load/pending');
+		expect(devtools.formatType('@@redux/INIT')).toEqual('@@redux/INIT');
+		expect(devtools.sanitizeAction({ type: '|todos:add', text: 'foo' })).toEqual({ type: '[todos] add', text: 'foo' });
+	});
+
+	it('resolves formatted and raw action types to defined action handlers', () => {
+		const a = new Actionize;
+		const todos = defineTodos(a);
+		const devtools = a.devtools();
+		expect(devtools.resolveType('[todos.list] add')).toEqual(todos.add.type);
+		expect(devtools.resolveType(todos.add.type)).toEqual(todos.add.type);
+		expect(devtools.resolveType('[todos.list] remove')).toBe(null);
+		expect(a.handler(todos.add.type)).toBe(todos.add);
+	});
+
+	it('filters actions by namespace', () => {
+		const devtools = new Actionize().devtools({ namespaces: [ 'todos' ] });
+		expect(devtools.isShown({ type: '|todos:add' })).toBe(true);
+		expect(devtools.isShown({ type: '|todos.list:add' })).toBe(true);
+		expect(devtools.isShown({ type: '|todosOther:add' })).toBe(false);
+		expect(devtools.isShown({ type: '@@redux/INIT' })).toBe(true);
+	});
+
+	it('sends formatted actions and states to the extension', () => {
+		const a = new Actionize;
+		const todos = defineTodos(a);
+		const extension = createExtension();
+		const store = createStore(todos, a.devtools({ extension, name: 'App' }).middleware());
+		store.dispatch({ type: todos.add.type, text: 'foo' });
+		expect(extension.options).toEqual({ name: 'App' });
+		expect(extension.sent).toEqual([
+			[ 'init', [] ],
+			[ { type: '[todos.list] add', text: 'foo' }, [ 'foo' ] ]
+		]);
+	});
+
+	it('dispatches actions from the DevTools dispatcher', () => {
+		const a = new Actionize;
+		const todos = defineTodos(a);
+		const extension = createExtension();
+		const store = createStore(todos, a.devtools({ extension }).middleware());
+		extension.message({ type: 'ACTION', payload: '{ "type": "[todos.list] add", "text": "foo" }' });
+		extension.message({ type: 'ACTION', payload: { type: todos.add.type, text: 'bar' } });
+		expect(store.getState()).toEqual([ 'foo', 'bar' ]);
+		expect(extension.errors).toEqual([]);
+	});
+
+	it('shows an error for actions that are not defined', () => {
+		const a = new Actionize;
+		const todos = defineTodos(a);
+		const extension = createExtension();
+		const store = createStore(todos, a.devtools({ extension }).middleware());
+		extension.message({ type: 'ACTION', payload: '[todos.list] remove' });
+		expect(extension.errors).toEqual([ 'Action "[todos.list] remove" is not defined.' ]);
+		expect(store.getState()).toEqual([]);
+	});
+
+	it('does nothing without the extension', () => {
+		const a = new Actionize;
+		const todos = defineTodos(a);
+		const store = createStore(todos, a.devtools().middleware());
+		store.dispatch({ type: todos.add.type, text: 'foo' });
+		expect(store.getState()).toEqual([ 'foo' ]);
+	});
+
+	it('parses Actionize action types', () => {
+		expect(ActionizeDevtools.parseType('|todos.list:add')).toEqual({ namespace: 'todos.list', key: 'add' });
+		expect(ActionizeDevtools.parseType('|a:b|c:d')).toBe(null);
+		expect(ActionizeDevtools.parseType(undefined)).toBe(null);
+	});
+
+});
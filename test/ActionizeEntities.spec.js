@@ -0,0 +1,54 @@
+import expect from 'expect';
+import Immutable from 'immutable';
+import ActionizeEntities from '../src/ActionizeEntities';
+
+describe('ActionizeEntities', () => {
+
+	describe('commit', () => {
+
+		it('adds, replaces and removes entities', () => {
+			const c = new ActionizeEntities;
+			let state = c.initial();
+			state = c.commit(state, [ [ 1, { id: 1 } ], [ 2, { id: 2 } ] ]);
+			expect(state).toEqual({ byId: { 1: { id: 1 }, 2: { id: 2 } }, allIds: [ 1, 2 ] });
+			state = c.commit(state, [ [ 1, { id: 1, x: true } ], [ 2, undefined ] ]);
+			expect(state).toEqual({ byId: { 1: { id: 1, x: true } }, allIds: [ 1 ] });
+			expect(c.commit(state, [], true)).toEqual(c.initial());
+		});
+
+		it('compares ids as strings in plain structures', () => {
+			const c = new ActionizeEntities();
+			let state = c.commit(c.initial(), [ [ 1, { id: 1 } ], [ 2, { id: 2 } ] ]);
+			state = c.commit(state, [ [ '1', { id: '1', x: true } ] ]);
+			expect(state.allIds).toEqual([ 1, 2 ]);
+			state = c.commit(state, [ [ '1', undefined ] ]);
+			expect(state).toEqual({ byId: { 2: { id: 2 } }, allIds: [ 2 ] });
+			expect(c.all(state)).toEqual([ { id: 2 } ]);
+		});
+
+		it('returns the same state without changes', () => {
+			const c = new ActionizeEntities;
+			const state = c.initial();
+			expect(c.commit(state, [])).toBe(state);
+		});
+
+		it('sorts ids with the sort comparer', () => {
+			const c = new ActionizeEntities({ idKey: 'key', sortComparer: (a, b) => a.name.localeCompare(b.name) });
+			const state = c.commit(c.initial(), [ [ 'b', { key: 'b', name: 'y' } ], [ 'a', { key: 'a', name: 'z' } ] ]);
+			expect(c.allIds(state)).toEqual([ 'b', 'a' ]);
+			expect(c.idOf({ key: 'a' })).toEqual('a');
+		});
+
+		it('works with Immutable structures', () => {
+			const c = new ActionizeEntities({ Immutable, sortComparer: (a, b) => b.get('id') - a.get('id') });
+			let state = c.commit(c.initial(), [ [ 1, { id: 1 } ], [ 2, { id: 2 } ] ]);
+			expect(state.toJS()).toEqual({ byId: { 1: { id: 1 }, 2: { id: 2 } }, allIds: [ 2, 1 ] });
+			state = c.commit(state, [ [ 2, undefined ] ]);
+			expect(c.all(state).toJS()).toEqual([ { id: 1 } ]);
+			expect(c.total(state)).toEqual(1);
+			expect(c.idOf(c.get(state, 1))).toEqual(1);
+		});
+
+	});
+
+});
@@ -0,0 +1,24 @@
+import expect from 'expect';
+import ActionizeMemoryStorage from '../src/ActionizeMemoryStorage';
+
+describe('ActionizeMemoryStorage', () => {
+
+	it('gets, sets and removes items', () => {
+		const storage = new ActionizeMemoryStorage({ a: '1' });
+		expect(storage.getItem('a')).toEqual('1');
+		expect(storage.getItem('b')).toBe(null);
+		storage.setItem('b', 2);
+		expect(storage.getItem('b')).toEqual('2');
+		storage.removeItem('a');
+		expect(storage.getItem('a')).toBe(null);
+	});
+
+	it('does not share items between instances', () => {
+		const items = { a: '1' };
+		const storage = new ActionizeMemoryStorage(items);
+		storage.setItem('a', '2');
+		expect(items.a).toEqual('1');
+		expect(new ActionizeMemoryStorage().getItem('a')).toBe(null);
+	});
+
+});
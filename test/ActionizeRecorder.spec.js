@@ -0,0 +1,146 @@
+import expect from 'expect';
+import Actionize from '../src/Actionize';
+import ActionizeRecorder from '../src/ActionizeRecorder';
+
+/**
+ * Apply a middleware to a minimal stand-in for a Redux store.
+ *
+ * @param {Function} reducer    The reducer.
+ * @param {Function} middleware The middleware.
+ *
+ * @returns {Object} The store.
+ */
+function createStore(reducer, middleware) {
+	let state = reducer(undefined, { type: '@@redux/INIT' });
+	const store = {
+		getState: () => state,
+		dispatch: action => state = reducer(state, action)
+	};
+	store.dispatch = middleware(store)(store.dispatch);
+	return store;
+}
+
+describe('ActionizeRecorder', () => {
+
+	const define = (a, add = (state, { text }) => [ ...state, text ]) => {
+		a.define('todos', build => build.reducer([], {
+			add,
+			fail: (state, { payload }) => [ ...state, payload.message ]
+		}));
+		a.define('filter', build => build.reducer('all', { set: (state, { value }) => value }));
+		return a;
+	};
+
+	const record = (a, dispatches) => {
+		const recorder = a.recorder();
+		const store = createStore(a.root({ reducers: { todos: a.get('todos'), filter: a.get('filter') } }).reducer(),
+			recorder.middleware());
+		dispatches(a.dispatcher(a.get('todos'), store.dispatch), a.dispatcher(a.get('filter'), store.dispatch), store);
+		return recorder;
+	};
+
+	it('records Actionize actions with checksums of the state', () => {
+		const recorder = record(define(new Actionize), (todos, filter, store) => {
+			todos.add({ text: 'foo' });
+			store.dispatch({ type: 'OTHER' });
+			filter.set({ value: 'done' });
+		});
+		const log = recorder.log();
+		expect(log.state).toEqual({ todos: [], filter: 'all' });
+		expect(log.entries.length).toEqual(2);
+		expect(log.entries[0]).toInclude({ name: 'todos', key: 'add', type: '|todos:add', payload: { text: 'foo' } });
+		expect(log.entries[0].checksum).toEqual(ActionizeRecorder.checksum({ filter: 'all', todos: [ 'foo' ] }));
+		expect(log.entries[1]).toInclude({ name: 'filter', key: 'set', payload: { value: 'done' } });
+	});
+
+	it('creates checksums independent of key order', () => {
+		expect(ActionizeRecorder.checksum({ a: 1, b: [ 2 ] })).toEqual(ActionizeRecorder.checksum({ b: [ 2 ], a: 1 }));
+		expect(ActionizeRecorder.checksum({ a: 1 })).toNotEqual(ActionizeRecorder.checksum({ a: 2 }));
+		expect(ActionizeRecorder.checksum(null)).toMatch(/^[0-9a-f]{8}$/);
+	});
+
+	it('replays a log without divergence against the same reducers', () => {
+		const recorder = record(define(new Actionize), (todos, filter) => {
+			todos.add({ text: 'foo' });
+			todos.fail(new Error('bar'));
+			filter.set({ value: 'done' });
+		});
+		const log = JSON.parse(JSON.stringify(recorder.log()));
+		expect(log.entries[1]).toInclude({ payload: { name: 'Error', message: 'bar' }, error: true });
+		expect(define(new Actionize).recorder().replay(log)).toBe(null);
+	});
+
+	it('reports the first entry where the state diverges', () => {
+		const recorder = record(define(new Actionize), (todos, filter) => {
+			filter.set({ value: 'done' });
+			todos.add({ text: 'foo' });
+			todos.add({ text: 'bar' });
+		});
+		const log = JSON.parse(JSON.stringify(recorder.log()));
+		const buggy = define(new Actionize, (state, { text }) => [ text, ...state ]);
+		const divergence = buggy.recorder().replay(log);
+		expect(divergence.index).toEqual(2);
+		expect(divergence.entry).toBe(log.entries[2]);
+		expect(divergence.expected).toEqual(log.entries[2].checksum);
+		expect(divergence.actual).toNotEqual(divergence.expected);
+		expect(divergence.state).toEqual({ todos: [ 'bar', 'foo' ], filter: 'done' });
+	});
+
+	it('records and replays batches', () => {
+		const recorder = record(define(new Actionize), todos => todos.batch(d => {
+			d.add({ text: 'foo' });
+			d.add({ text: 'bar' });
+		}));
+		const log = recorder.log();
+		expect(log.entries.length).toEqual(1);
+		expect(log.entries[0].batch.map(entry => entry.payload)).toEqual([ { text: 'foo' }, { text: 'bar' } ]);
+		expect(define(new Actionize).recorder().replay(log)).toBe(null);
+	});
+
+	it('records errors in the payload of effect actions', () => {
+		const a = new Actionize;
+		const load = a.define('todos', build => {
+			const loadTodos = build.effect('load', () => Promise.reject(new Error('failed')));
+			return build.reducer({ error: null }, {
+				load: loadTodos,
+				[build.handle(loadTodos.rejected)]: (state, { id, error }) => ({ error: id + ': ' + error.message })
+			});
+		});
+		const recorder = a.recorder();
+		const store = createStore(load, recorder.middleware());
+		return a.dispatcher(load, store.dispatch).load({ id: 1 }).then(() => {
+			throw new Error('Should not resolve.');
+		}, () => {
+			const [ , rejected ] = recorder.log().entries;
+			expect(rejected.payload).toEqual({ id: 1, error: { name: 'Error', message: 'failed' } });
+			expect(rejected.errorKeys).toEqual([ 'error' ]);
+			const action = recorder.action(JSON.parse(JSON.stringify(rejected)));
+			expect(action.error).toBeAn(Error);
+			expect(action.error.message).toEqual('failed');
+			const log = JSON.parse(JSON.stringify(recorder.log()));
+			expect(a.recorder().replay(log, { reducer: load })).toBe(null);
+		});
+	});
+
+	it('records the payload of FSA actions', () => {
+		const a = new Actionize({ fsa: true });
+		a.define('todos', build => build.reducer([], { add: (state, text) => [ ...state, text ] }));
+		const recorder = a.recorder();
+		const store = createStore(a.get('todos'), recorder.middleware());
+		a.dispatcher(a.get('todos'), store.dispatch).add('foo');
+		expect(recorder.log().entries[0].payload).toEqual('foo');
+		expect(recorder.action(recorder.log().entries[0])).toEqual({ type: '|todos:add', payload: 'foo' });
+	});
+
+	it('replays with the given reducer and state', () => {
+		const a = define(new Actionize);
+		const recorder = a.recorder();
+		const store = createStore(a.get('todos'), recorder.middleware());
+		store.dispatch({ type: '|todos:add', text: 'foo' });
+		const fresh = define(new Actionize);
+		expect(fresh.recorder().replay(recorder.log(), { reducer: fresh.get('todos') })).toBe(null);
+		expect(fresh.recorder().replay(recorder.log(), { reducer: fresh.get('todos'), state: [ 'bar' ] }).index)
+			.toEqual(0);
+	});
+
+});
@@ -0,0 +1,107 @@
+import expect from 'expect';
+import Immutable from 'immutable';
+import Actionize from '../src/Actionize';
+
+/**
+ * A minimal stand-in for a Redux store.
+ *
+ * @param {Function} reducer The reducer.
+ *
+ * @returns {Object} The store.
+ */
+function createStore(reducer) {
+	let state = reducer(undefined, { type: '@@redux/INIT' });
+	return {
+		getState: () => state,
+		dispatch: action => state = reducer(state, action),
+		replaceReducer: nextReducer => {
+			reducer = nextReducer;
+			state = reducer(state, { type: '@@redux/REPLACE' });
+		}
+	};
+}
+
+describe('ActionizeRoot', () => {
+
+	const defineTodos = a => a.set('todos', build => build.reducer([], {
+		add: (state, { text }) => [ ...state, text ]
+	}));
+
+	it('starts with the given reducers', () => {
+		const a = new Actionize;
+		const app = a.define('app', build => build.reducer({ ready: true }, {}));
+		const root = a.root({ reducers: { app } });
+		expect(root.reducer()(undefined, { type: '@@INIT' })).toEqual({ app: { ready: true } });
+	});
+
+	it('mounts named reducers and replaces the store reducer', () => {
+		const a = new Actionize;
+		const root = a.root();
+		const store = createStore(root.reducer());
+		root.attach(store);
+		defineTodos(a);
+		const todos = root.mount('todos');
+		expect(todos).toBe(a.get('todos'));
+		expect(root.isMounted('todos')).toEqual(true);
+		expect(store.getState()).toEqual({ todos: [] });
+		a.dispatcher(root.reducer(), store.dispatch).todos.add({ text: 'foo' });
+		expect(store.getState()).toEqual({ todos: [ 'foo' ] });
+	});
+
+	it('mounts named reducers under a given key', () => {
+		const a = new Actionize;
+		const root = a.root();
+		defineTodos(a);
+		root.mount('todos', 'list');
+		expect(root.reducer().list).toBe(a.get('todos'));
+		expect(() => root.mount('todos', 'list')).toThrow(/already mounted/i);
+	});
+
+	it('keeps the selectors of mounted reducers working when the root is rebuilt', () => {
+		const a = new Actionize;
+		const app = a.define('app', build => build.selectors(build.reducer({ ready: true }, {}), {
+			ready: state => state.ready
+		}));
+		const root = a.root({ reducers: { app } });
+		defineTodos(a);
+		root.mount('todos');
+		root.unmount('todos');
+		expect(app.selectors.ready({ app: { ready: false } })).toEqual(false);
+	});
+
+	it('unmounts reducers and releases their action types', () => {
+		const a = new Actionize;
+		const root = a.root();
+		const store = createStore(root.reducer());
+		root.attach(store);
+		defineTodos(a);
+		root.mount('todos');
+		root.unmount('todos');
+		expect(root.isMounted('todos')).toEqual(false);
+		expect(root.reducer().todos).toNotExist();
+		expect(() => a.get('todos')).toThrow(/not defined/i);
+
+		// The same module can be loaded again.
+		defineTodos(a);
+		const todos = root.mount('todos');
+		expect(todos.add.type).toEqual('|todos:add');
+		expect(() => root.unmount('unknown')).toThrow(/not mounted/i);
+	});
+
+	it('does not remove reducers that were not mounted by name', () => {
+		const a = new Actionize;
+		const app = a.define('app', build => build.reducer({}, {}));
+		const root = a.root({ reducers: { app } });
+		root.unmount('app');
+		expect(a.get('app')).toBe(app);
+	});
+
+	it('uses a custom combine function', () => {
+		const a = new Actionize({ Immutable });
+		const root = a.root({ combine: (build, reducers) => build.combineImmutable(reducers) });
+		defineTodos(a);
+		root.mount('todos');
+		expect(root.reducer()(undefined, { type: '@@INIT' }).toJS()).toEqual({ todos: [] });
+	});
+
+});
@@ -0,0 +1,93 @@
+import expect from 'expect';
+import ActionizeSchema from '../src/ActionizeSchema';
+
+describe('ActionizeSchema', () => {
+
+	describe('validate', () => {
+
+		it('checks primitive types', () => {
+			expect(ActionizeSchema.validate('string', 'foo')).toEqual([]);
+			expect(ActionizeSchema.validate('number', 1)).toEqual([]);
+			expect(ActionizeSchema.validate('boolean', false)).toEqual([]);
+			expect(ActionizeSchema.validate('array', [])).toEqual([]);
+			expect(ActionizeSchema.validate('any', null)).toEqual([]);
+			expect(ActionizeSchema.validate('string', 1)).toEqual([ '"payload" must be a string, got number.' ]);
+			expect(ActionizeSchema.validate('object', [])).toEqual([ '"payload" must be a object, got array.' ]);
+			expect(ActionizeSchema.validate('object', null)).toEqual([ '"payload" must be a object, got null.' ]);
+		});
+
+		it('checks required and optional keys', () => {
+			const schema = { id: 'number', 'text?': 'string' };
+			expect(ActionizeSchema.validate(schema, { id: 1 })).toEqual([]);
+			expect(ActionizeSchema.validate(schema, { id: 1, text: 'foo', extra: true })).toEqual([]);
+			expect(ActionizeSchema.validate(schema, { text: 'foo' })).toEqual([ '"payload.id" is required.' ]);
+			expect(ActionizeSchema.validate(schema, { id: 1, text: 2 })).toEqual([
+				'"payload.text" must be a string, got number.'
+			]);
+			expect(ActionizeSchema.validate(schema, 'foo')).toEqual([ '"payload" must be an object.' ]);
+		});
+
+		it('checks arrays and nested shapes', () => {
+			const schema = { tags: [ 'string' ], author: { name: 'string' } };
+			expect(ActionizeSchema.validate(schema, { tags: [ 'a', 'b' ], author: { name: 'foo' } })).toEqual([]);
+			expect(ActionizeSchema.validate(schema, { tags: [ 'a', 1 ], author: {} })).toEqual([
+				'"payload.tags[1]" must be a string, got number.',
+				'"payload.author.name" is required.'
+			]);
+			expect(ActionizeSchema.validate(schema, { tags: 'a', author: { name: 'foo' } })).toEqual([
+				'"payload.tags" must be an array.'
+			]);
+		});
+
+		it('checks custom predicates', () => {
+			const schema = { priority: value => value >= 0 && value <= 5 };
+			expect(ActionizeSchema.validate(schema, { priority: 3 })).toEqual([]);
+			expect(ActionizeSchema.validate(schema, { priority: 9 })).toEqual([ '"payload.priority" is invalid.' ]);
+		});
+
+		it('throws an error for unsupported schemas', () => {
+			expect(() => ActionizeSchema.validate('date', 1)).toThrow(/not supported/i);
+			expect(() => ActionizeSchema.validate(123, 1)).toThrow(/not supported/i);
+		});
+
+	});
+
+	describe('check', () => {
+
+		const env = process.env.NODE_ENV;
+		afterEach(() => process.env.NODE_ENV = env);
+
+		it('throws an error for invalid payloads in development', () => {
+			expect(() => ActionizeSchema.check({ id: 'number' }, {}, '|foo:a', {}))
+				.toThrow(/invalid payload for action "\|foo:a": "payload.id" is required/i);
+			expect(ActionizeSchema.check({ id: 'number' }, { id: 1 }, '|foo:a', {})).toEqual(true);
+		});
+
+		it('reports invalid payloads in production', () => {
+			process.env.NODE_ENV = 'production';
+			const reported = [];
+			const onInvalidAction = (errors, type, payload) => reported.push({ errors, type, payload });
+			expect(ActionizeSchema.check({ id: 'number' }, {}, '|foo:a', { onInvalidAction })).toEqual(false);
+			expect(reported).toEqual([ { errors: [ '"payload.id" is required.' ], type: '|foo:a', payload: {} } ]);
+		});
+
+		it('does not check payloads in production without onInvalidAction', () => {
+			process.env.NODE_ENV = 'production';
+			let called = false;
+			const validator = () => {
+				called = true;
+				return [ 'invalid' ];
+			};
+			expect(ActionizeSchema.check({ id: 'number' }, {}, '|foo:a', { validator })).toEqual(true);
+			expect(called).toEqual(false);
+		});
+
+		it('uses a custom validator', () => {
+			const validator = (schema, payload) => payload === schema ? [] : [ 'not ' + schema ];
+			expect(ActionizeSchema.check('foo', 'foo', '|foo:a', { validator })).toEqual(true);
+			expect(() => ActionizeSchema.check('foo', 'bar', '|foo:a', { validator })).toThrow(/not foo/);
+		});
+
+	});
+
+});
@@ -0,0 +1,64 @@
+import expect from 'expect';
+import Actionize from '../src/Actionize';
+import ActionizeBuild from '../src/ActionizeBuild';
+
+describe('ActionizeScope', () => {
+
+	it('prefixes names with the namespace', () => {
+		const a = new Actionize;
+		const todos = a.scope('todos');
+		const list = todos.define('list', build => build.reducer([], { add: (state, { text }) => [ ...state, text ] }));
+		expect(list.add.type).toEqual('|todos.list:add');
+		expect(todos.get('list')).toBe(list);
+		expect(a.get('todos.list')).toBe(list);
+		expect(todos.namespace()).toEqual('todos');
+	});
+
+	it('creates child scopes', () => {
+		const a = new Actionize;
+		const filters = a.scope('todos').scope('list');
+		expect(filters.namespace()).toEqual('todos.list');
+		filters.set('filter', build => build.reducer('all', { set: (state, { value }) => value }));
+		expect(a.get('todos.list.filter').set.type).toEqual('|todos.list.filter:set');
+	});
+
+	it('shares names and action types with the instance', () => {
+		const a = new Actionize;
+		a.define('todos.list', build => build.reducer([], { add: state => state }));
+		expect(() => a.scope('todos').set('list', build => build.reducer([], {}))).toThrow(/already defined/i);
+		a.scope('todos').set('other', () => new ActionizeBuild('todos.list').reducer([], { add: state => state }));
+		expect(() => a.get('todos.other')).toThrow(/defined twice/i);
+	});
+
+	it('removes and replaces reducers', () => {
+		const a = new Actionize;
+		const todos = a.scope('todos');
+		todos.define('list', build => build.reducer([], { add: state => state }));
+		const replaced = todos.replace('list', build => build.reducer([], { add: state => state, clear: () => [] }));
+		expect(replaced.clear.type).toEqual('|todos.list:clear');
+		todos.remove('list');
+		expect(() => a.get('todos.list')).toThrow(/not defined/i);
+	});
+
+	it('throws an error for invalid namespaces', () => {
+		const a = new Actionize;
+		expect(() => a.scope('')).toThrow(/cannot be empty/i);
+		expect(() => a.scope('a:b')).toThrow(/cannot contain characters/i);
+		expect(() => a.scope('todos').name('a|b')).toThrow(/cannot contain characters/i);
+	});
+
+	it('can be handled to handle every action under the namespace', () => {
+		const a = new Actionize;
+		const todos = a.scope('todos');
+		const list = todos.define('list', build => build.reducer([], { add: state => state }));
+		const filter = todos.scope('filters').define('filter', build => build.reducer('all', { set: state => state }));
+		const log = a.define('log', build => build.reducer([], {
+			[build.handle(todos)]: (state, action) => [ ...state, action.type ]
+		}));
+		let state = log(undefined, { type: list.add.type });
+		state = log(state, { type: filter.set.type });
+		state = log(state, { type: '|todosOther:add' });
+		expect(state).toEqual([ '|todos.list:add', '|todos.filters.filter:set' ]);
+	});
+
+});
@@ -0,0 +1,61 @@
+import expect from 'expect';
+import Immutable from 'immutable';
+import ActionizeStrict from '../src/ActionizeStrict';
+
+describe('ActionizeStrict', () => {
+
+	describe('findMutation', () => {
+
+		it('finds changes since the snapshot', () => {
+			const state = { todos: [ { done: false } ], filter: 'all' };
+			const snapshot = ActionizeStrict.snapshot(state);
+			expect(ActionizeStrict.findMutation(state, snapshot)).toBe(null);
+			state.todos[0].done = true;
+			expect(ActionizeStrict.findMutation(state, snapshot)).toEqual('state.todos[0].done');
+		});
+
+		it('finds added and removed keys and items', () => {
+			const state = { todos: [ 'a' ], filter: 'all' };
+			const snapshot = ActionizeStrict.snapshot(state);
+			state.todos.push('b');
+			expect(ActionizeStrict.findMutation(state, snapshot)).toEqual('state.todos');
+			state.todos.pop();
+			delete state.filter;
+			state.other = 'all';
+			expect(ActionizeStrict.findMutation(state, snapshot)).toEqual('state.filter');
+		});
+
+		it('compares other values by reference', () => {
+			const date = new Date(0);
+			expect(ActionizeStrict.findMutation(date, ActionizeStrict.snapshot(date))).toBe(null);
+			expect(ActionizeStrict.findMutation(NaN, NaN)).toBe(null);
+			expect(ActionizeStrict.findMutation(1, 2)).toEqual('state');
+		});
+
+	});
+
+	describe('findNonSerializable', () => {
+
+		it('finds functions, promises, symbols and class instances', () => {
+			expect(ActionizeStrict.findNonSerializable({ a: [ 1, 'b', null, { c: true } ] }, 'state')).toBe(null);
+			expect(ActionizeStrict.findNonSerializable({ a: [ () => null ] }, 'state')).toEqual('state.a[0]');
+			expect(ActionizeStrict.findNonSerializable({ a: Promise.resolve() }, 'state')).toEqual('state.a');
+			expect(ActionizeStrict.findNonSerializable({ a: Symbol('a') }, 'state')).toEqual('state.a');
+			expect(ActionizeStrict.findNonSerializable({ a: new Date(0) }, 'state')).toEqual('state.a');
+		});
+
+		it('allows errors', () => {
+			expect(ActionizeStrict.findNonSerializable({ payload: new Error('failed') }, 'action')).toBe(null);
+		});
+
+		it('allows Immutable structures with the Immutable option', () => {
+			const state = Immutable.fromJS({ a: [ 1 ] });
+			expect(ActionizeStrict.findNonSerializable(state, 'state', Immutable)).toBe(null);
+			expect(ActionizeStrict.findNonSerializable(state, 'state')).toEqual('state');
+			expect(ActionizeStrict.findNonSerializable(Immutable.Map({ a: () => null }), 'state', Immutable))
+				.toEqual('state.a');
+		});
+
+	});
+
+});
@@ -0,0 +1,135 @@
+import expect from 'expect';
+import Actionize from '../src/Actionize';
+import ActionizeTesting from '../src/ActionizeTesting';
+
+describe('ActionizeTesting', () => {
+
+	const define = () => {
+		const a = new Actionize;
+		a.define('todos.list', build => build.reducer([], {
+			add: (state, { text }) => [ ...state, text ],
+			clear: () => []
+		}));
+		a.set('todos.filter', build => build.nestPlain(
+			build.reducer({ value: 'all' }, { set: (state, { value }) => ({ ...state, value }) }),
+			{ search: build.reducer('', { setSearch: (state, { text }) => text }) }
+		));
+		return a;
+	};
+
+	it('combines every defined reducer by name', () => {
+		const harness = new ActionizeTesting(define());
+		expect(harness.state()).toEqual({
+			'todos.list': [],
+			'todos.filter': { value: 'all', search: '' }
+		});
+	});
+
+	it('does not change what the selectors of combined reducers pick', () => {
+		const a = new Actionize;
+		const list = a.define('list', build => build.selectors(build.reducer([], {}), { count: state => state.length }));
+		a.define('root', build => build.combinePlain({ todos: build.combinePlain({ list }) }));
+		new ActionizeTesting(a);
+		expect(list.selectors.count({ todos: { list: [ 'a', 'b' ] } })).toEqual(2);
+	});
+
+	it('dispatches actions by path', () => {
+		const harness = new ActionizeTesting(define());
+		harness.dispatch('todos.list.add', { text: 'foo' });
+		harness.dispatch('todos.filter.search.setSearch', { text: 'bar' });
+		expect(harness.store().getState()).toEqual({
+			'todos.list': [ 'foo' ],
+			'todos.filter': { value: 'all', search: 'bar' }
+		});
+	});
+
+	it('throws errors for paths that are not defined', () => {
+		const harness = new ActionizeTesting(define());
+		expect(() => harness.dispatch('other.add')).toThrow(/does not start with a defined name/);
+		expect(() => harness.dispatch('todos.list.remove')).toThrow(/is not defined/);
+	});
+
+	it('records the state after each step of a scenario', () => {
+		const harness = new ActionizeTesting(define());
+		const records = harness.run([
+			[ 'todos.list.add', { text: 'foo' } ],
+			[ 'todos.filter.set', { value: 'done' } ]
+		]);
+		expect(records.length).toEqual(2);
+		expect(records[0].path).toEqual('todos.list.add');
+		expect(records[0].actions).toEqual([ { type: '|todos.list:add', text: 'foo' } ]);
+		expect(records[0].state['todos.list']).toEqual([ 'foo' ]);
+		expect(records[1].prevState).toBe(records[0].state);
+		expect(records[1].state['todos.filter'].value).toEqual('done');
+	});
+
+	it('asserts which keys of the state a step changed', () => {
+		const harness = new ActionizeTesting(define());
+		const [ record ] = harness.run([ [ 'todos.list.add', { text: 'foo' } ] ]);
+		expect(harness.changed(record)).toEqual([ 'todos.list' ]);
+		expect(() => harness.assertChangedOnly(record, 'todos.list')).toNotThrow();
+		expect(() => harness.assertChangedOnly(record, [ 'todos.filter' ]))
+			.toThrow('Action "todos.list.add" changed "todos.list", expected only "todos.filter".');
+	});
+
+	it('reports actions that were not exercised', () => {
+		const harness = new ActionizeTesting(define());
+		expect(harness.unexercised()).toEqual([
+			'todos.filter.set',
+			'todos.filter.search.setSearch',
+			'todos.list.add',
+			'todos.list.clear'
+		]);
+		harness.run([ [ 'todos.list.add', { text: 'foo' } ] ]);
+		harness.store().dispatch({ type: '|todos.filter:set', value: 'done' });
+		expect(harness.unexercised()).toEqual([ 'todos.filter.search.setSearch', 'todos.list.clear' ]);
+	});
+
+	it('reports effect stages and handled action types that were not exercised', () => {
+		const a = new Actionize;
+		a.define('session', build => build.reducer(null, { logout: () => null }));
+		a.define('x', build => {
+			const load = build.effect('load', () => 1);
+			return build.reducer(0, {
+				load,
+				inc: state => state + 1,
+				[build.handle(load.fulfilled)]: (state, { result }) => result,
+				[build.handle('|session:logout')]: () => 0
+			});
+		});
+		const harness = new ActionizeTesting(a);
+		expect(harness.unexercised()).toEqual([
+			'session.logout',
+			'x.inc',
+			'x.load/pending',
+			'x.load/fulfilled',
+			'x.load/rejected',
+			'x|session:logout'
+		]);
+		return harness.dispatch('x.load').then(() => {
+			harness.dispatch('session.logout');
+			expect(harness.unexercised()).toEqual([ 'x.inc', 'x.load/rejected' ]);
+		});
+	});
+
+	it('counts the actions of batches as exercised', () => {
+		const a = define();
+		const harness = new ActionizeTesting(a);
+		const dispatcher = a.dispatcher(a.get('todos.list'), harness.store().dispatch);
+		dispatcher.batch(d => {
+			d.add({ text: 'foo' });
+			d.clear();
+		});
+		expect(harness.unexercised()).toEqual([ 'todos.filter.set', 'todos.filter.search.setSearch' ]);
+		expect(harness.state()['todos.list']).toEqual([]);
+	});
+
+	it('uses the given reducer and state', () => {
+		const a = define();
+		const list = a.get('todos.list');
+		const harness = new ActionizeTesting(a, { reducer: list, state: [ 'foo' ] });
+		harness.dispatch('todos.list.add', { text: 'bar' });
+		expect(harness.state()).toEqual([ 'foo', 'bar' ]);
+	});
+
+});
@@ -0,0 +1,290 @@
+import Actionize, { Action, Reducer, StateOf } from '../../src/Actionize';
+import ActionizeBuild from '../../src/ActionizeBuild';
+import ActionizeMemoryStorage from '../../src/ActionizeMemoryStorage';
+import ActionizeTesting from '../../src/ActionizeTesting';
+
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+/**
+ * Fails to compile unless the given types are the same.
+ *
+ * @param {true} isEqual The result of Equals<A, B>.
+ *
+ * @returns {void}
+ */
+function assertType<A, B>(isEqual: Equals<A, B>): void { }
+
+const actionize = new Actionize();
+declare const dispatch: (action: Action) => any;
+
+interface Todo {
+	id: number;
+	text: string;
+}
+
+// reducer: the state type is inferred from the initial state, and the handler's second parameter is the payload.
+
+const counter = actionize.define('counter', build => build.reducer({ count: 0 }, {
+	increment(state, { by }: { by: number }) {
+		return { count: state.count + by };
+	},
+	reset: () => ({ count: 0 })
+}));
+
+assertType<StateOf<typeof counter>, { count: number }>(true);
+assertType<typeof counter.increment.type, string>(true);
+counter(undefined, { type: counter.reset.type });
+
+actionize.define('counter.invalid', build => build.reducer({ count: 0 }, {
+	// @ts-expect-error Handlers must return the state type.
+	increment: state => ({ total: state.count })
+}));
+
+// handle: handlers for other reducers' actions are not actions of this reducer.
+
+const todos = actionize.define('todos', build => build.reducer([] as Todo[], {
+	add(state, { text }: { text: string }) {
+		return [ ...state, { id: state.length, text } ];
+	},
+	[build.handle(counter.reset)]: (state: Todo[]) => state.slice(0, 1)
+}));
+
+assertType<keyof typeof todos, 'add'>(true);
+assertType<StateOf<typeof todos>, Todo[]>(true);
+
+// combinePlain and nestPlain merge state types.
+
+const root = actionize.define('root', build => build.combinePlain({ counter, todos }));
+
+assertType<StateOf<typeof root>, { counter: { count: number }; todos: Todo[] }>(true);
+assertType<typeof root.todos, typeof todos>(true);
+
+const app = actionize.define('app', build => build.nestPlain(
+	build.reducer({ title: '' }, {
+		setTitle: (state, { title }: { title: string }) => ({ ...state, title })
+	}),
+	{ counter, todos }
+));
+
+assertType<StateOf<typeof app>, { title: string } & { counter: { count: number }; todos: Todo[] }>(true);
+app.setTitle.type.toUpperCase();
+app.counter.increment.type.toUpperCase();
+
+// dispatcher: invokers take the handler's payload type.
+
+const dispatcher = actionize.dispatcher(app, dispatch);
+
+dispatcher.setTitle({ title: 'foo' });
+dispatcher.counter.increment({ by: 2 });
+dispatcher.counter.reset();
+dispatcher.todos.add({ text: 'foo' }, { meta: true });
+
+// @ts-expect-error The payload must match the handler.
+dispatcher.counter.increment({ by: 'two' });
+
+// @ts-expect-error The payload is required.
+dispatcher.todos.add();
+
+// @ts-expect-error Unknown actions are not on the dispatcher.
+dispatcher.todos.remove({ id: 1 });
+
+// Effects are exposed as functions returning a promise.
+
+const loader = actionize.define('loader', build => {
+	const load = build.effect('load', (payload: { id: number }, { getState }) => Promise.resolve('loaded'));
+	return build.reducer('', {
+		load,
+		[build.handle(load.fulfilled)]: (state: string, { result }: { result: string }) => result
+	});
+});
+
+const loaderDispatcher = actionize.dispatcher({ loader }, dispatch);
+loaderDispatcher.loader.load({ id: 1 }).then(result => assertType<typeof result, string>(true));
+
+// creators return action objects.
+
+const creators = actionize.creators(app);
+const action: Action = creators.todos.add({ text: 'foo' });
+creators.todos.add.type.toUpperCase();
+
+// selectors take the outermost state.
+
+const selected = actionize.define('selected', build => build.selectors(build.reducer([] as Todo[], {}), {
+	byId: (state, id: number) => state.filter(todo => todo.id === id)[0]
+}));
+
+assertType<ReturnType<typeof selected.selectors.byId>, Todo>(true);
+
+// @ts-expect-error Selector arguments are checked.
+selected.selectors.byId({}, 'one');
+
+// undoable keeps the history of the wrapped reducer's state.
+
+const history = actionize.define('history', build => build.undoable(
+	build.reducer(0, { inc: (state: number) => state + 1 }),
+	{ limit: 10 }
+));
+
+assertType<StateOf<typeof history>['present'], number>(true);
+actionize.dispatcher(history, dispatch).jump(-1);
+actionize.dispatcher(history, dispatch).inc();
+
+// sequence, branch and reset keep the actions of the reducers they compose.
+
+const composed = actionize.define('composed', build => {
+	const count = build.reducer(0, { inc: (state: number) => state + 1 });
+	const limit = build.reducer(0, { clamp: (state: number, { max }: { max: number }) => Math.min(state, max) });
+	const mode = build.branch((state: number | undefined) => !state, count, limit);
+	return build.reset(build.sequence(mode, build.reducer(0, { double: (state: number) => state * 2 })), [ count.inc ]);
+});
+
+assertType<StateOf<typeof composed>, number>(true);
+actionize.dispatcher(composed, dispatch).clamp({ max: 1 });
+actionize.dispatcher(composed, dispatch).double();
+
+// @ts-expect-error Composed action payloads are checked.
+actionize.dispatcher(composed, dispatch).clamp({ max: 'one' });
+
+// machines are typed by their states, events and context.
+
+const uploadMachine = actionize.define('upload', build => build.machine({
+	initial: 'idle',
+	context: { progress: 0 },
+	states: {
+		idle: { on: { start: 'loading' } },
+		loading: {
+			entry: context => ({ progress: 0 }),
+			on: { progress: { update: (context, { progress }) => ({ progress }) }, done: 'idle' }
+		}
+	}
+}));
+
+assertType<StateOf<typeof uploadMachine>['value'], 'idle' | 'loading'>(true);
+assertType<StateOf<typeof uploadMachine>['context'], { progress: number }>(true);
+actionize.dispatcher(uploadMachine, dispatch).progress({ progress: 50 });
+uploadMachine.selectors.matches({}, 'loading');
+
+// @ts-expect-error Machine states are checked.
+uploadMachine.selectors.matches({}, 'done');
+
+// @ts-expect-error Warnings are given to a function.
+actionize.define('warnMachine', build => build.machine({ initial: 'idle', states: { idle: {} }, warn: true }));
+
+// ordered handlers keep their payload types, and can stop the action.
+
+const ordered = actionize.define('ordered', build => build.reducer(0, {
+	add: build.priority(1, (state: number, { amount }: { amount: number }) => state + amount),
+	[build.handle('|ordered:add')]: build.before((state: number) => state > 10 ? build.stop(state) : state),
+	[build.handle('|ordered:add') + build.handle('|x:y')]: build.after((state: number) => state)
+}));
+
+actionize.dispatcher(ordered, dispatch).add({ amount: 1 });
+
+// @ts-expect-error Priorities are numbers.
+actionize.define('badPriority', build => build.reducer(0, { add: build.priority('high', (state: number) => state) }));
+
+// unmounted reducers keep the state of the reducer.
+const unmountedOrdered = ActionizeBuild.unmounted(ordered);
+assertType<number, StateOf<typeof unmountedOrdered>>(true);
+
+// entities are typed by the entity type.
+
+const todoEntities = actionize.define('todoEntities', build => build.entities<Todo>({ sortComparer: (a, b) => a.id - b.id }));
+
+assertType<ReturnType<typeof todoEntities.selectors.all>, Todo[]>(true);
+actionize.dispatcher(todoEntities, dispatch).updateOne({ id: 1, changes: { text: 'bar' } });
+
+// @ts-expect-error Entities are checked.
+actionize.dispatcher(todoEntities, dispatch).addOne({ entity: { id: 'one' } });
+
+// keyed reducers take a key in dispatchers and creators.
+
+const forms = actionize.define('forms', build => build.keyed(
+	build.reducer({} as { [name: string]: string }, {
+		setField: (state, { name, value }: { name: string; value: string }) => ({ ...state, [name]: value })
+	}),
+	{ keyFrom: action => action.id }
+));
+
+assertType<StateOf<typeof forms>['tab-3'], { [name: string]: string }>(true);
+actionize.dispatcher({ forms }, dispatch).forms('tab-3').setField({ name: 'title', value: 'foo' });
+actionize.dispatcher({ forms }, dispatch).forms('tab-3').removeInstance();
+actionize.creators({ forms }).forms(3).setField.type.toUpperCase();
+
+// @ts-expect-error Keyed dispatchers need a key.
+actionize.dispatcher({ forms }, dispatch).forms.setField({ name: 'title', value: 'foo' });
+
+// plugins are given the handler's reducer name and action key.
+
+new Actionize({
+	plugins: [ {
+		afterHandle: (prevState, nextState, action, meta) => meta.name.length + meta.key.length
+	} ]
+});
+
+new Actionize({ strict: true });
+new Actionize({ errorPolicy: 'report', onHandlerError: (error, type, name) => type + name });
+
+// @ts-expect-error Error policies are checked.
+new Actionize({ errorPolicy: 'ignore' });
+
+// @ts-expect-error Plugin hooks are checked.
+new Actionize({ plugins: [ { onError: (error: any, action: Action, meta: string) => null } ] });
+
+// describe returns the action types by reducer name.
+
+const catalog = actionize.describe();
+const addType: string = catalog['todos'].children['list'].actions['add'];
+catalog['todos'].handles?.map(type => type.length);
+
+// devtools formats action types and creates a middleware.
+
+const devtools = actionize.devtools({ namespaces: [ 'todos' ] });
+const formatted: string = devtools.formatType(counter.increment.type);
+devtools.middleware()({ getState: () => null, dispatch })(dispatch)({ type: formatted });
+
+// batch gives a dispatcher of the same actions.
+
+actionize.dispatcher({ counter }, dispatch).batch(d => {
+	d.counter.increment({ by: 1 });
+	// @ts-expect-error Batched dispatchers are checked.
+	d.counter.increment({ by: 'one' });
+});
+
+// persist adds a rehydrate effect that resolves with the stored state.
+
+const persisted = actionize.define('persisted', build => build.persist(
+	build.reducer({ theme: 'light' }, { setTheme: (state, { theme }: { theme: string }) => ({ theme }) }),
+	{ storage: new ActionizeMemoryStorage(), version: 2, migrate: { 2: state => state }, onError: () => undefined }
+));
+
+actionize.dispatcher(persisted, dispatch).rehydrate().then(state => state && state.theme.length);
+actionize.dispatcher(persisted, dispatch).setTheme({ theme: 'dark' });
+persisted.persistence.middleware()({ getState: () => ({}), dispatch })(dispatch)({ type: 'x' });
+
+// scopes define reducers with prefixed names, and can be handled.
+
+const todosScope = actionize.scope('todos');
+const scoped = todosScope.scope('filters').define('filter', build => build.reducer('all', {
+	set: (state, { value }: { value: string }) => value,
+	[build.handle(todosScope)]: (state: string) => state
+}));
+
+actionize.dispatcher(scoped, dispatch).set({ value: 'done' });
+
+// the testing harness replays scenarios and records states.
+
+const harness = new ActionizeTesting<{ [name: string]: any }>(actionize);
+const [ record ] = harness.run([ [ 'todos.filters.filter.set', { value: 'done' } ] ]);
+harness.assertChangedOnly(record, 'todos.filters.filter');
+assertType<string[], ReturnType<typeof harness.unexercised>>(true);
+
+// recorded logs replay against the reducers of another instance.
+
+const recorder = actionize.recorder();
+const divergence = new Actionize().recorder().replay(JSON.parse(JSON.stringify(recorder.log())));
+if (divergence) {
+	assertType<string, typeof divergence.expected>(true);
+}
+
+const reducer: Reducer<{ count: number }> = counter;